@@ -1,4 +1,5 @@
 const authService = require('../services/auth-service');
+const userService = require('../services/user-service');
 
 // ============================================
 // Authentication Middleware
@@ -33,6 +34,22 @@ function requireAuth(req, res, next) {
   next();
 }
 
+/**
+ * Require an admin user (ADMIN_USERIDS)
+ * Must run after requireAuth; returns 403 for everyone else
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || userService.getUserRole(req.user.userid) !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: '需要管理员权限',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  next();
+}
+
 /**
  * Optional authentication - attach user if session exists
  * Does not block request if no session
@@ -56,5 +73,6 @@ function optionalAuth(req, res, next) {
 
 module.exports = {
   requireAuth,
+  requireAdmin,
   optionalAuth
 };
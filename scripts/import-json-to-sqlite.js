@@ -0,0 +1,54 @@
+/**
+ * One-shot importer: copy existing JSON files into the SQLite database
+ *
+ * Usage:
+ *   npm run storage:import            # skip documents that already exist in SQLite
+ *   npm run storage:import -- --force # overwrite existing SQLite documents
+ *
+ * Set STORAGE_BACKEND=sqlite in .env.local afterwards to switch the server over.
+ */
+
+const { createStorage, DOCUMENTS } = require('../services/storage');
+
+function main() {
+  const force = process.argv.includes('--force');
+  const source = createStorage('json');
+  const target = createStorage('sqlite');
+
+  console.log(`📦 Importing JSON documents into ${target.describe()}`);
+
+  let imported = 0;
+  let skipped = 0;
+
+  Object.keys(DOCUMENTS).forEach(name => {
+    let data;
+    try {
+      data = source.read(name);
+    } catch (error) {
+      console.error(`   ❌ ${name}: failed to read ${DOCUMENTS[name]} (${error.message})`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (data === null) {
+      console.log(`   ⏭️  ${name}: ${DOCUMENTS[name]} not found`);
+      skipped++;
+      return;
+    }
+
+    if (!force && target.read(name) !== null) {
+      console.log(`   ⏭️  ${name}: already in SQLite (use --force to overwrite)`);
+      skipped++;
+      return;
+    }
+
+    target.write(name, data);
+    console.log(`   ✅ ${name}: imported from ${DOCUMENTS[name]}`);
+    imported++;
+  });
+
+  target.close();
+  console.log(`✅ Import finished: ${imported} imported, ${skipped} skipped`);
+}
+
+main();
@@ -0,0 +1,56 @@
+/**
+ * Stand-in group robot webhook for testing the leave digest locally
+ *
+ * Usage:
+ *   npm run digest:receiver                 # listens on http://127.0.0.1:10891
+ *   DIGEST_RECEIVER_PORT=9000 npm run digest:receiver
+ *
+ * Point DIGEST_WEBHOOK_URL (or the urls in digest-webhooks.json) at
+ * http://127.0.0.1:10891/<any-name>, then trigger a digest with
+ * POST /api/admin/digest/send. Each message is printed and acknowledged like
+ * the real robot ({ errcode: 0 }); a path ending in /fail answers with an
+ * error, to check that one failing webhook does not stop the others.
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.DIGEST_RECEIVER_PORT || '10891', 10);
+
+function main() {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errcode: 405, errmsg: 'method not allowed' }));
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ errcode: 40001, errmsg: 'invalid json' }));
+        return;
+      }
+
+      console.log(`\n📥 ${new Date().toISOString()} ${req.url} (${message.msgtype}, ${Buffer.byteLength(body, 'utf8')} bytes)`);
+      console.log(message.markdown ? message.markdown.content : JSON.stringify(message, null, 2));
+
+      const failing = req.url.split('?')[0].endsWith('/fail');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(failing ? { errcode: 93000, errmsg: 'invalid webhook url' } : { errcode: 0, errmsg: 'ok' }));
+    });
+  });
+
+  server.listen(PORT, '127.0.0.1', () => {
+    console.log(`🤖 Stand-in group robot listening on http://127.0.0.1:${PORT}`);
+  });
+}
+
+main();
@@ -1,5 +1,4 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
@@ -7,21 +6,48 @@ const wecomService = require('./services/wecom-service');
 const holidayService = require('./services/holiday-service');
 const syncScheduler = require('./services/sync-scheduler');
 const syncLock = require('./services/sync-lock');
+const syncJobs = require('./services/sync-jobs');
+const syncRuns = require('./services/sync-runs');
+const reconciliation = require('./services/reconciliation');
+const directory = require('./services/directory');
+const leaveDigest = require('./services/leave-digest');
 const authService = require('./services/auth-service');
 const userService = require('./services/user-service');
-const { requireAuth } = require('./middleware/auth-middleware');
+const { requireAuth, requireAdmin } = require('./middleware/auth-middleware');
 const { WecomCrypto, extractXmlField } = require('./services/wecom-crypto');
 const callbackHandler = require('./services/callback-handler');
+const callbackQueue = require('./services/callback-queue');
+const callbackGuard = require('./services/callback-guard');
+const approvalStore = require('./services/approval-store');
+const templateRegistry = require('./services/template-registry');
+const overtimeStore = require('./services/overtime-store');
+const availabilityStore = require('./services/availability-store');
+const leaveHistory = require('./services/leave-history');
+const leaveRecords = require('./services/leave-records');
+const storage = require('./services/storage');
+
+const { loadLeaveData, saveLeaveData } = syncScheduler;
 
 const app = express();
 const PORT = process.env.PORT || 10890;
-const DATA_FILE = path.join(__dirname, 'leave_data.json');
 
 // Rate limiting for sync endpoint
 let lastSyncTime = null;
 
+/**
+ * Describe the logged-in user for the change history ("name (userid)")
+ */
+function describeActor(user) {
+  if (!user) {
+    return 'unknown';
+  }
+  return user.name ? `${user.name} (${user.userid})` : user.userid;
+}
+
 // Middleware
-app.use(express.json({ limit: '50mb' }));
+// Only the admin import accepts a whole document; everything else is small edits
+app.use('/api/admin/leave-records/import', express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '1mb' }));
 app.use(cookieParser());
 
 // Serve leave-board.html as the main page (BEFORE static middleware!)
@@ -92,6 +118,7 @@ app.post('/callback', express.text({ type: ['text/xml', 'application/xml'] }), (
 
   if (!msg_signature || !timestamp || !nonce) {
     console.error('[CALLBACK] Missing required query params (POST)');
+    callbackGuard.recordRejected('missing_params');
     return sendSuccess();
   }
 
@@ -101,22 +128,43 @@ app.post('/callback', express.text({ type: ['text/xml', 'application/xml'] }), (
     return sendSuccess();
   }
 
+  if (!callbackGuard.isFresh(timestamp)) {
+    console.error(`[CALLBACK] Stale timestamp ${timestamp}, rejecting (POST)`);
+    callbackGuard.recordRejected('stale_timestamp');
+    return sendSuccess();
+  }
+
   try {
     const body = req.body;
     const encrypt = extractXmlField(body, 'Encrypt');
 
     if (!encrypt) {
       console.error('[CALLBACK] No <Encrypt> field in XML body');
+      callbackGuard.recordRejected('missing_encrypt');
       return sendSuccess();
     }
 
     if (!cryptoInstance.verifySignature(msg_signature, timestamp, nonce, encrypt)) {
       console.error('[CALLBACK] Signature verification failed (POST)');
+      callbackGuard.recordRejected('bad_signature');
+      return sendSuccess();
+    }
+
+    if (callbackGuard.checkNonce(timestamp, nonce)) {
+      console.log(`[CALLBACK] Replayed request (nonce ${nonce}), ignoring`);
+      callbackGuard.recordDuplicate();
       return sendSuccess();
     }
 
     const decryptedXml = cryptoInstance.decrypt(encrypt);
 
+    if (callbackGuard.checkMessage(decryptedXml, extractXmlField(decryptedXml, 'MsgId'))) {
+      console.log('[CALLBACK] Duplicate delivery, ignoring');
+      callbackGuard.recordDuplicate();
+      return sendSuccess();
+    }
+    callbackGuard.recordAccepted();
+
     const msgType = extractXmlField(decryptedXml, 'MsgType');
     const event = extractXmlField(decryptedXml, 'Event');
     console.log(`[CALLBACK] Received event: MsgType=${msgType}, Event=${event}`);
@@ -247,117 +295,305 @@ app.get('/api/user/me', requireAuth, (req, res) => {
 // API Routes
 // ============================================
 
-// GET: Retrieve all leave records
+// GET: Retrieve leave records, optionally only ?startDate=&endDate= (YYYY-MM-DD),
+// ?department= and/or ?userid=
+// The ETag (document updatedAt) must be sent back as If-Match when editing
 app.get('/api/leave-records', requireAuth, (req, res) => {
-  if (!fs.existsSync(DATA_FILE)) {
-    // If file doesn't exist, return empty data
-    return res.json({ leaveData: {}, employeeInfo: {}, updatedAt: null });
-  }
+  const { startDate, endDate, department, userid } = req.query;
 
-  fs.readFile(DATA_FILE, 'utf8', (err, data) => {
-    if (err) {
-      console.error('Error reading data file:', err);
-      return res.status(500).json({ error: 'Failed to read data' });
+  try {
+    const data = storage.readDocument('leave_data') || { leaveData: {}, leaveTypes: {}, cellApprovals: {}, employeeInfo: {}, updatedAt: null };
+    res.set('ETag', leaveRecords.toETag(data));
+
+    if (startDate || endDate || department || userid) {
+      return res.json(leaveRecords.filterLeaveData(data, { startDate, endDate, department, userid }));
     }
-    try {
-      res.json(JSON.parse(data));
-    } catch (parseError) {
-      console.error('Error parsing data file:', parseError);
-      res.json({});
+    res.json(data);
+  } catch (error) {
+    if (error instanceof leaveRecords.LeaveRecordValidationError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
     }
-  });
+    console.error('Error reading leave data:', error);
+    res.status(500).json({ error: 'Failed to read data' });
+  }
 });
 
-// POST: Save leave records
-app.post('/api/leave-records', requireAuth, (req, res) => {
-  const data = req.body;
+/**
+ * Apply a single-cell edit under the sync lock with optimistic concurrency
+ * @param {Function} applyEdit - (data) => result, mutates data; throws LeaveRecordValidationError
+ */
+function handleCellEdit(req, res, applyEdit) {
+  const expectedVersion = leaveRecords.parseExpectedVersion(req.get('If-Match'), req.body && req.body.updatedAt);
+  if (!expectedVersion) {
+    return res.status(428).json({
+      success: false,
+      error: '缺少数据版本（If-Match 或 updatedAt），请刷新后重试',
+      code: 'VERSION_REQUIRED',
+    });
+  }
 
-  if (!data) {
-    return res.status(400).json({ error: 'No data provided' });
+  if (!syncLock.acquireLock()) {
+    return res.status(409).json({
+      success: false,
+      error: '同步正在进行中，请稍后再试',
+      code: 'SYNC_IN_PROGRESS',
+    });
   }
 
-  fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), (err) => {
-    if (err) {
-      console.error('Error writing data file:', err);
-      return res.status(500).json({ error: 'Failed to save data' });
+  try {
+    const data = loadLeaveData();
+    leaveRecords.assertVersion(data, expectedVersion);
+
+    const { userid } = req.params;
+    if (!data.leaveData[userid] && !(data.employeeInfo && data.employeeInfo[userid])) {
+      return res.status(404).json({
+        success: false,
+        error: '员工不存在',
+        code: 'EMPLOYEE_NOT_FOUND',
+      });
     }
-    console.log('Data saved successfully at', new Date().toISOString());
-    res.json({ success: true, message: 'Data saved successfully' });
+
+    const result = applyEdit(data);
+    saveLeaveData(data, { source: 'manual_edit', actor: describeActor(req.user) });
+
+    res.set('ETag', leaveRecords.toETag(data));
+    res.json({ success: true, data: result, updatedAt: data.updatedAt });
+  } catch (error) {
+    if (error instanceof leaveRecords.VersionConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        currentUpdatedAt: error.currentVersion,
+      });
+    }
+    if (error instanceof leaveRecords.LeaveRecordValidationError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Leave record edit error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save data', code: 'SAVE_FAILED' });
+  } finally {
+    syncLock.releaseLock();
+  }
+}
+
+// PUT: Set the status (and leave type) of one employee's date
+app.put('/api/leave-records/:userid/:date', requireAuth, (req, res) => {
+  const { userid, date } = req.params;
+  const { status, leaveType } = req.body || {};
+
+  handleCellEdit(req, res, data => {
+    leaveRecords.validateCellEdit({ date, status, leaveType });
+    leaveRecords.setCell(data, userid, date, status, leaveType);
+    console.log(`✏️  ${describeActor(req.user)} set ${userid} ${date} -> ${status}`);
+    return { userid, date, status, leaveType: leaveType || null };
   });
 });
 
-/**
- * Helper: Load existing leave data from file
- */
-function loadLeaveData() {
-  if (!fs.existsSync(DATA_FILE)) {
-    return { leaveData: {}, employeeInfo: {}, updatedAt: null };
-  }
+// DELETE: Clear one employee's date
+app.delete('/api/leave-records/:userid/:date', requireAuth, (req, res) => {
+  const { userid, date } = req.params;
+
+  handleCellEdit(req, res, data => {
+    leaveRecords.validateCellEdit({ date }, false);
+    const removed = leaveRecords.clearCell(data, userid, date);
+    console.log(`✏️  ${describeActor(req.user)} cleared ${userid} ${date}`);
+    return { userid, date, removed };
+  });
+});
+
+// POST: Replace the whole document (admin import)
+// Without `apply: true` only a diff preview is returned. Applying requires the
+// version the preview was based on, so the preview is exactly what gets applied.
+app.post('/api/admin/leave-records/import', requireAuth, requireAdmin, (req, res) => {
+  const { data: imported, apply } = req.body || {};
 
   try {
-    const data = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(data);
+    leaveRecords.validateLeaveDocument(imported);
   } catch (error) {
-    console.error('Error loading leave data:', error);
-    return { leaveData: {}, employeeInfo: {}, updatedAt: null };
+    return res.status(400).json({ success: false, error: error.message, code: error.code });
+  }
+
+  if (!apply) {
+    try {
+      const current = loadLeaveData();
+      return res.json({
+        success: true,
+        preview: true,
+        baseUpdatedAt: leaveRecords.getVersion(current),
+        diff: leaveRecords.diffLeaveData(current, imported),
+      });
+    } catch (error) {
+      console.error('❌ Import preview error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to read data', code: 'READ_FAILED' });
+    }
+  }
+
+  const expectedVersion = leaveRecords.parseExpectedVersion(req.get('If-Match'), req.body.baseUpdatedAt);
+  if (!expectedVersion) {
+    return res.status(428).json({
+      success: false,
+      error: '缺少预览时的数据版本（baseUpdatedAt），请先预览',
+      code: 'VERSION_REQUIRED',
+    });
+  }
+
+  if (!syncLock.acquireLock()) {
+    return res.status(409).json({
+      success: false,
+      error: '同步正在进行中，请稍后再试',
+      code: 'SYNC_IN_PROGRESS',
+    });
   }
-}
 
-/**
- * Helper: Save leave data to file
- */
-function saveLeaveData(data) {
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
-    console.log('✅ Leave data saved successfully');
-    return true;
+    const current = loadLeaveData();
+    leaveRecords.assertVersion(current, expectedVersion);
+
+    const data = {
+      leaveData: imported.leaveData,
+      leaveTypes: imported.leaveTypes || {},
+      cellApprovals: imported.cellApprovals || {},
+      employeeInfo: imported.employeeInfo || {},
+    };
+    const diff = leaveRecords.diffLeaveData(current, data);
+    saveLeaveData(data, { source: 'admin_import', actor: describeActor(req.user) });
+
+    console.log(`📥 ${describeActor(req.user)} imported leave data (+${diff.summary.added} ~${diff.summary.changed} -${diff.summary.removed})`);
+    res.set('ETag', leaveRecords.toETag(data));
+    res.json({ success: true, preview: false, updatedAt: data.updatedAt, diff });
   } catch (error) {
-    console.error('❌ Error saving leave data:', error);
-    throw new Error('Failed to save data');
+    if (error instanceof leaveRecords.VersionConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        currentUpdatedAt: error.currentVersion,
+      });
+    }
+    console.error('❌ Import error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save data', code: 'SAVE_FAILED' });
+  } finally {
+    syncLock.releaseLock();
   }
-}
+});
 
-/**
- * Helper: Merge WeChat data with existing data
- * Strategy: WeChat data takes priority (source of truth)
- */
-function mergeLeaveData(existingData, wecomData) {
-  const merged = {
-    leaveData: { ...existingData.leaveData },
-    employeeInfo: { ...existingData.employeeInfo },
-  };
-
-  let newEmployees = 0;
-  let updatedEmployees = 0;
-
-  // Merge employee info (WeChat data wins)
-  Object.keys(wecomData.employeeInfo).forEach(name => {
-    if (!merged.employeeInfo[name]) {
-      newEmployees++;
-    } else {
-      updatedEmployees++;
+// GET: Change history of an employee's cells (optionally only one date)
+app.get('/api/leave-records/:userid/history', requireAuth, (req, res) => {
+  const { userid } = req.params;
+  const { date } = req.query;
+
+  const history = leaveHistory.getHistory(userid, date);
+  res.json({ success: true, count: history.length, history });
+});
+
+// GET: Approval templates the board syncs (template registry)
+app.get('/api/approval-templates', requireAuth, (req, res) => {
+  const templates = templateRegistry.getTemplates();
+  res.json({ success: true, count: templates.length, templates });
+});
+
+// GET: Overtime hours per employee and day (approved and pending), with the
+// same ?startDate=&endDate=&department=&userid= filters as leave records
+app.get('/api/overtime', requireAuth, (req, res) => {
+  const { startDate, endDate, department, userid } = req.query;
+
+  try {
+    const view = leaveRecords.filterLeaveData(overtimeStore.buildOvertimeView(), { startDate, endDate, department, userid });
+    res.json({
+      success: true,
+      overtime: view.leaveData,
+      employeeInfo: view.employeeInfo,
+      updatedAt: view.updatedAt,
+    });
+  } catch (error) {
+    if (error instanceof leaveRecords.LeaveRecordValidationError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
     }
-    merged.employeeInfo[name] = wecomData.employeeInfo[name];
-  });
+    console.error('Error reading overtime data:', error);
+    res.status(500).json({ success: false, error: '读取加班数据失败', code: 'OVERTIME_READ_FAILED' });
+  }
+});
+
+// GET: Business trips (出差) and outings (外出) per employee and day, with the
+// same filters as leave records
+app.get('/api/availability', requireAuth, (req, res) => {
+  const { startDate, endDate, department, userid } = req.query;
 
-  // Merge leave data (WeChat data wins for conflicts)
-  Object.keys(wecomData.leaveData).forEach(name => {
-    if (!merged.leaveData[name]) {
-      // New employee - add directly
-      merged.leaveData[name] = wecomData.leaveData[name];
-    } else {
-      // Existing employee - merge dates (WeChat wins)
-      merged.leaveData[name] = {
-        ...merged.leaveData[name],
-        ...wecomData.leaveData[name],
-      };
+  try {
+    const view = leaveRecords.filterLeaveData(availabilityStore.buildAvailabilityView(), { startDate, endDate, department, userid });
+    res.json({
+      success: true,
+      availability: view.leaveData,
+      employeeInfo: view.employeeInfo,
+      updatedAt: view.updatedAt,
+    });
+  } catch (error) {
+    if (error instanceof leaveRecords.LeaveRecordValidationError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
     }
-  });
+    console.error('Error reading availability data:', error);
+    res.status(500).json({ success: false, error: '读取出差/外出数据失败', code: 'AVAILABILITY_READ_FAILED' });
+  }
+});
 
-  merged.updatedAt = new Date().toISOString();
+// GET: List stored approvals for an employee (optionally only those covering a date)
+app.get('/api/approvals', requireAuth, (req, res) => {
+  const { userid, date } = req.query;
 
-  return { merged, stats: { newEmployees, updatedEmployees } };
-}
+  if (!userid) {
+    return res.status(400).json({
+      success: false,
+      error: '缺少员工参数',
+      code: 'MISSING_USERID',
+    });
+  }
+
+  const approvals = approvalStore.findApprovals(userid, date);
+  res.json({ success: true, count: approvals.length, approvals });
+});
+
+// GET: Get a single stored approval by sp_no
+app.get('/api/approvals/:spNo', requireAuth, (req, res) => {
+  const approval = approvalStore.getApproval(req.params.spNo);
+
+  if (!approval) {
+    return res.status(404).json({
+      success: false,
+      error: '审批记录不存在',
+      code: 'APPROVAL_NOT_FOUND',
+    });
+  }
+
+  res.json({ success: true, approval });
+});
+
+// POST: Rebuild board cells from the approval store
+app.post('/api/approvals/rebuild', requireAuth, (req, res) => {
+  if (!syncLock.acquireLock()) {
+    return res.status(409).json({
+      success: false,
+      error: '同步正在进行中，请稍后再试',
+      code: 'SYNC_IN_PROGRESS',
+    });
+  }
+
+  try {
+    const { data, stats } = approvalStore.rebuildLeaveData(loadLeaveData());
+    saveLeaveData(data, { source: 'rebuild', actor: describeActor(req.user) });
+    console.log(`🔁 Rebuilt leave data from ${stats.approvals} approvals (${stats.employees} employees)`);
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    console.error('❌ Rebuild error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'REBUILD_FAILED',
+    });
+  } finally {
+    syncLock.releaseLock();
+  }
+});
 
 // GET: Get holiday date config for a date range
 app.get('/api/holidays/dateconfig', requireAuth, async (req, res) => {
@@ -436,129 +672,193 @@ app.get('/api/holidays/default-range', requireAuth, (req, res) => {
   }
 });
 
-// POST: Sync leave data from WeChat Work
-app.post('/api/wecom/sync', requireAuth, async (req, res) => {
-  try {
-    // Check global sync lock - prevent concurrent manual and auto sync
-    if (!syncLock.acquireLock()) {
-      return res.status(409).json({
-        success: false,
-        error: '同步正在进行中，请稍后再试',
-        code: 'SYNC_IN_PROGRESS',
-      });
-    }
+// POST: Start a manual WeChat Work sync as a background job
+// Returns the job id immediately; poll GET /api/sync/jobs/:id for progress
+app.post('/api/wecom/sync', requireAuth, (req, res) => {
+  // Verify credentials are configured
+  if (!process.env.WECOM_CORPID || !process.env.WECOM_SECRET) {
+    return res.status(401).json({
+      success: false,
+      error: '企业微信凭证未配置，请检查 .env.local 文件',
+      code: 'WECOM_CREDENTIALS_MISSING',
+    });
+  }
 
-    // Rate limiting: minimum 10 seconds between syncs
-    if (lastSyncTime && Date.now() - lastSyncTime < 10000) {
-      syncLock.releaseLock(); // Release lock before returning
-      return res.status(429).json({
-        success: false,
-        error: '同步过于频繁，请稍后再试',
-        code: 'RATE_LIMIT_EXCEEDED',
-      });
-    }
+  // Rate limiting: minimum 10 seconds between syncs
+  if (lastSyncTime && Date.now() - lastSyncTime < 10000) {
+    return res.status(429).json({
+      success: false,
+      error: '同步过于频繁，请稍后再试',
+      code: 'RATE_LIMIT_EXCEEDED',
+    });
+  }
 
-    console.log('🔄 Starting WeChat Work sync (manual)...');
+  // Get date range from request body (or use defaults)
+  const { startDate, endDate } = req.body || {};
+  let syncStartDate, syncEndDate;
+
+  if (startDate && endDate) {
+    syncStartDate = startDate;
+    syncEndDate = endDate;
+  } else {
+    // Use default range if not provided
+    const defaultRange = holidayService.getDefaultDateRange();
+    syncStartDate = holidayService.formatDate(defaultRange.startDate);
+    syncEndDate = holidayService.formatDate(defaultRange.endDate);
+  }
 
-    // Load credentials from .env.local
-    require('dotenv').config({ path: '.env.local' });
+  console.log(`🔄 Manual sync requested: ${syncStartDate} to ${syncEndDate}`);
+  console.log(`   Note: This queries approval SUBMISSION time, not leave dates`);
 
-    // Verify credentials are configured
-    if (!process.env.WECOM_CORPID || !process.env.WECOM_SECRET) {
-      return res.status(401).json({
-        success: false,
-        error: '企业微信凭证未配置，请检查 .env.local 文件',
-        code: 'WECOM_CREDENTIALS_MISSING',
-      });
-    }
+  const { job, alreadyRunning } = syncJobs.startJob(syncStartDate, syncEndDate, describeActor(req.user));
 
-    // Get date range from request body (or use defaults)
-    const { startDate, endDate } = req.body;
-    let syncStartDate, syncEndDate;
-
-    if (startDate && endDate) {
-      syncStartDate = startDate;
-      syncEndDate = endDate;
-    } else {
-      // Use default range if not provided
-      const defaultRange = holidayService.getDefaultDateRange();
-      syncStartDate = holidayService.formatDate(defaultRange.startDate);
-      syncEndDate = holidayService.formatDate(defaultRange.endDate);
-    }
+  if (alreadyRunning) {
+    return res.status(409).json({
+      success: false,
+      error: '已有同步任务正在进行',
+      code: 'SYNC_JOB_RUNNING',
+      data: { jobId: job.id, job },
+    });
+  }
 
-    console.log(`   Sync range: ${syncStartDate} to ${syncEndDate}`);
-    console.log(`   Note: This queries approval SUBMISSION time, not leave dates`);
+  lastSyncTime = Date.now();
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, job },
+    timestamp: new Date().toISOString(),
+  });
+});
 
-    // Call WeChat Work API to fetch leave approvals
-    const wecomData = await wecomService.syncLeaveApprovals(syncStartDate, syncEndDate);
+// GET: Recent manual sync jobs (newest first)
+app.get('/api/sync/jobs', requireAuth, (req, res) => {
+  const jobs = syncJobs.listJobs();
+  res.json({ success: true, count: jobs.length, jobs });
+});
 
-    // Load existing data
-    const existingData = loadLeaveData();
+// GET: Progress of a manual sync job
+app.get('/api/sync/jobs/:id', requireAuth, (req, res) => {
+  const job = syncJobs.getJob(req.params.id);
 
-    // Merge with smart conflict resolution
-    const { merged, stats } = mergeLeaveData(existingData, wecomData);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: '同步任务不存在',
+      code: 'SYNC_JOB_NOT_FOUND',
+    });
+  }
 
-    // Save merged data
-    saveLeaveData(merged);
+  res.json({ success: true, data: job });
+});
 
-    // Update rate limit timestamp
-    lastSyncTime = Date.now();
+// GET: Recent sync runs (incremental, status check, manual, callback, ...), newest first
+app.get('/api/sync/runs', requireAuth, (req, res) => {
+  const { type, status, limit } = req.query;
 
-    // Return sync results
+  if (type && !syncRuns.RUN_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `无效的同步类型，可选: ${syncRuns.RUN_TYPES.join(', ')}`,
+      code: 'INVALID_RUN_TYPE',
+    });
+  }
+
+  const runs = syncRuns.listRuns({ type, status, limit });
+  res.json({ success: true, count: runs.length, runs });
+});
+
+// GET: Reconciliation reports (summaries), newest first
+app.get('/api/reconciliation/reports', requireAuth, (req, res) => {
+  const reports = reconciliation.listReports();
+  res.json({ success: true, count: reports.length, reports });
+});
+
+// GET: Full reconciliation report (added, changed, removed cells)
+app.get('/api/reconciliation/reports/:id', requireAuth, (req, res) => {
+  const report = reconciliation.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: '对账报告不存在',
+      code: 'REPORT_NOT_FOUND',
+    });
+  }
+  res.json({ success: true, data: report });
+});
+
+// POST: Run a reconciliation now (in the background)
+app.post('/api/admin/reconciliation/run', requireAuth, requireAdmin, (req, res) => {
+  const { report, alreadyRunning } = reconciliation.startReconciliation(describeActor(req.user));
+
+  if (alreadyRunning) {
+    return res.status(409).json({
+      success: false,
+      error: '对账正在进行中',
+      code: 'RECONCILIATION_RUNNING',
+      data: { reportId: report.id },
+    });
+  }
+
+  res.status(202).json({ success: true, data: { reportId: report.id } });
+});
+
+// POST: Send the "who is out" digest to the group robots now
+// With `dryRun: true` the messages are only composed and returned
+app.post('/api/admin/digest/send', requireAuth, requireAdmin, async (req, res) => {
+  const dryRun = !!(req.body && req.body.dryRun);
+
+  try {
+    const result = await leaveDigest.sendDigest({ dryRun });
     res.json({
       success: true,
       data: {
-        syncedCount: wecomData.syncedCount,
-        newEmployees: stats.newEmployees,
-        updatedEmployees: stats.updatedEmployees,
-        skippedCount: wecomData.skippedCount,
-        errors: wecomData.errors,
+        skipped: result.skipped,
+        reason: result.reason || null,
+        sent: result.sent,
+        failed: result.failed,
+        // Webhook URLs carry the robot key and are not echoed back
+        messages: result.messages.map(({ departments, content, count, error }) => ({
+          departments, content, count, error: error || null,
+        })),
       },
-      timestamp: new Date().toISOString(),
     });
-
-    console.log('✅ WeChat Work sync completed successfully');
-
   } catch (error) {
-    console.error('❌ Sync error:', error);
-
-    // Handle specific error types
-    if (error instanceof wecomService.WecomAuthError) {
-      return res.status(401).json({
-        success: false,
-        error: '企业微信认证失败，请检查配置',
-        code: error.code || 'WECOM_AUTH_FAILED',
-        details: error.message,
-      });
-    }
+    console.error('❌ Leave digest error:', error);
+    res.status(500).json({ success: false, error: '发送请假日报失败: ' + error.message, code: 'DIGEST_FAILED' });
+  }
+});
 
-    if (error instanceof wecomService.WecomAPIError) {
-      return res.status(503).json({
-        success: false,
-        error: '企业微信API调用失败',
-        code: error.code || 'WECOM_API_FAILED',
-        details: error.message,
-      });
-    }
+// GET: Organization directory (department tree and active members)
+app.get('/api/directory', requireAuth, (req, res) => {
+  const { departments, members, syncedAt } = directory.loadDirectory();
+  const memberList = Object.values(members);
+  res.json({
+    success: true,
+    syncedAt,
+    departments: Object.values(departments),
+    count: memberList.length,
+    members: memberList,
+  });
+});
 
-    if (error instanceof wecomService.DataTransformError) {
-      return res.status(500).json({
-        success: false,
-        error: '数据转换失败，部分记录已跳过',
-        code: 'DATA_TRANSFORM_FAILED',
-        details: error.message,
-      });
-    }
+// POST: Sync the directory from WeChat Work now
+app.post('/api/admin/directory/sync', requireAuth, requireAdmin, async (req, res) => {
+  if (directory.isSyncing()) {
+    return res.status(409).json({
+      success: false,
+      error: '通讯录同步正在进行中',
+      code: 'DIRECTORY_SYNC_RUNNING',
+    });
+  }
 
-    // Generic error
+  try {
+    const counts = await directory.syncDirectory(describeActor(req.user));
+    res.json({ success: true, data: counts });
+  } catch (error) {
     res.status(500).json({
       success: false,
-      error: error.message || '同步失败，请重试',
-      code: 'SYNC_FAILED',
+      error: `通讯录同步失败：${error.message}`,
+      code: 'DIRECTORY_SYNC_FAILED',
     });
-  } finally {
-    // Always release lock
-    syncLock.releaseLock();
   }
 });
 
@@ -566,6 +866,7 @@ app.post('/api/wecom/sync', requireAuth, async (req, res) => {
 app.get('/api/sync/status', requireAuth, (req, res) => {
   try {
     const status = syncScheduler.getSyncStatus();
+    status.callbacks = callbackGuard.getStats();
     res.json({ success: true, data: status });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -637,6 +938,8 @@ app.get('/api/active-approvals', requireAuth, (req, res) => {
       count,
       metadata: activeData.metadata,
       approvals,
+      watchedCount: Object.keys(activeData.watched).length,
+      watched: activeData.watched,
     });
   } catch (error) {
     res.status(500).json({
@@ -646,6 +949,52 @@ app.get('/api/active-approvals', requireAuth, (req, res) => {
   }
 });
 
+// ============================================
+// Callback Queue Admin Routes
+// ============================================
+
+// GET: Pending and dead-lettered callback events
+app.get('/api/admin/callback-queue', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const status = callbackQueue.getQueueStatus();
+    res.json({ success: true, data: status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, code: 'READ_FAILED' });
+  }
+});
+
+// POST: Put a dead-lettered event back into the queue
+app.post('/api/admin/callback-queue/dead-letters/:spNo/retry', requireAuth, requireAdmin, (req, res) => {
+  const event = callbackQueue.retryDeadLetter(req.params.spNo);
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      error: '死信队列中没有该审批',
+      code: 'DEAD_LETTER_NOT_FOUND',
+    });
+  }
+
+  console.log(`🔁 ${describeActor(req.user)} re-queued callback SpNo=${event.spNo}`);
+  callbackHandler.drainQueue().catch(err => {
+    console.error('[CALLBACK] Queue drain error:', err.message);
+  });
+  res.json({ success: true, data: event });
+});
+
+// DELETE: Discard a dead-lettered event
+app.delete('/api/admin/callback-queue/dead-letters/:spNo', requireAuth, requireAdmin, (req, res) => {
+  if (!callbackQueue.discardDeadLetter(req.params.spNo)) {
+    return res.status(404).json({
+      success: false,
+      error: '死信队列中没有该审批',
+      code: 'DEAD_LETTER_NOT_FOUND',
+    });
+  }
+
+  console.log(`🗑️  ${describeActor(req.user)} discarded dead-lettered callback SpNo=${req.params.spNo}`);
+  res.json({ success: true });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
@@ -656,6 +1005,18 @@ app.listen(PORT, () => {
   // Start status check scheduler
   syncScheduler.startStatusCheckScheduler();
 
+  // Start nightly reconciliation scheduler
+  reconciliation.startReconciliationScheduler();
+
+  // Start nightly directory sync
+  directory.startDirectoryScheduler();
+
+  // Start the morning "who is out" digest
+  syncScheduler.startDigestScheduler();
+
+  // Resume a manual sync job interrupted by the last shutdown
+  syncJobs.resumeInterruptedJobs();
+
   // Start callback handler queue drain (only if callback credentials are configured)
   if (getWecomCrypto()) {
     callbackHandler.startQueueDrain();
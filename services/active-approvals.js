@@ -3,30 +3,36 @@
  *
  * Manages the list of pending (审批中) leave approvals for status change tracking.
  * Only tracks approvals with apply_time >= 2026-01-01 00:00:00
+ *
+ * A second tier (`watched`) keeps approved (已通过) leaves whose dates are
+ * still ahead, so a later 通过后撤销 is caught even when the callback is lost.
+ * It is checked on a slower cadence by the status check.
  */
 
-const fs = require('fs');
-const path = require('path');
-
-// Active approvals file path
-const ACTIVE_APPROVALS_FILE = path.join(__dirname, '../.active_approvals.json');
+const storage = require('./storage');
+const { dateKeyToDayNumber } = require('./leave-records');
 
 // Cutoff date: only track approvals after 2026-01-01
 const CUTOFF_TIMESTAMP = 1735660800; // 2026-01-01 00:00:00 UTC
 const CUTOFF_DATE = '2026-01-01T00:00:00.000Z';
 
 /**
- * Load active approvals from disk
+ * Load active approvals from storage
+ * Throws on unreadable data so tracked approvals are never silently dropped
  * @returns {Object} Active approvals data with metadata and approvals
  */
 function loadActiveApprovals() {
+  let data;
   try {
-    if (fs.existsSync(ACTIVE_APPROVALS_FILE)) {
-      const data = fs.readFileSync(ACTIVE_APPROVALS_FILE, 'utf8');
-      return JSON.parse(data);
-    }
+    data = storage.readDocument('active_approvals');
   } catch (error) {
-    console.error('Failed to load active approvals:', error.message);
+    console.error('❌ Failed to load active approvals:', error.message);
+    throw new Error('Failed to load active approvals');
+  }
+
+  if (data) {
+    data.watched = data.watched || {};
+    return data;
   }
 
   // Default structure
@@ -36,20 +42,17 @@ function loadActiveApprovals() {
       cutoffDate: CUTOFF_DATE,
     },
     approvals: {},
+    watched: {},
   };
 }
 
 /**
- * Save active approvals to disk
+ * Save active approvals to storage
  * @param {Object} data - Active approvals data
  */
 function saveActiveApprovals(data) {
   try {
-    fs.writeFileSync(
-      ACTIVE_APPROVALS_FILE,
-      JSON.stringify(data, null, 2),
-      'utf8'
-    );
+    storage.writeDocument('active_approvals', data);
   } catch (error) {
     console.error('Failed to save active approvals:', error.message);
   }
@@ -83,10 +86,64 @@ function getStatusText(statusCode) {
   return statusMap[statusCode] || '未知';
 }
 
+/**
+ * Check if any of the dates is today or later (server local time)
+ * @param {Array<string>} dateKeys - Date keys ("2026-2.3", "2026-2.3 (上午)")
+ * @returns {boolean} True if the leave is not over yet
+ */
+function hasUpcomingDates(dateKeys) {
+  const now = new Date();
+  const today = now.getFullYear() * 10000 + (now.getMonth() + 1) * 100 + now.getDate();
+  return (dateKeys || []).some(dateKey => {
+    const day = dateKeyToDayNumber(dateKey);
+    return day !== null && day >= today;
+  });
+}
+
+/**
+ * Watch an approved leave for post-approval revocation
+ * Only leaves with upcoming dates are watched; anything else is unwatched.
+ * @param {Object} activeData - Active approvals data (modified in place)
+ * @param {Object} entry - Approval entry (same shape as an active approval)
+ * @returns {boolean} True if the leave is now watched
+ */
+function watchApproved(activeData, entry) {
+  if (!hasUpcomingDates(entry.leave_dates)) {
+    delete activeData.watched[entry.sp_no];
+    return false;
+  }
+
+  activeData.watched[entry.sp_no] = {
+    ...entry,
+    current_status: 2,
+    status_text: '已通过',
+    last_checked: Math.floor(Date.now() / 1000),
+    last_checked_time: new Date().toISOString(),
+  };
+  return true;
+}
+
+/**
+ * Stop watching an approval
+ * @param {Object} activeData - Active approvals data (modified in place)
+ * @param {string} spNo - Approval number
+ * @returns {boolean} True if it was watched
+ */
+function unwatch(activeData, spNo) {
+  if (!activeData.watched[spNo]) {
+    return false;
+  }
+  delete activeData.watched[spNo];
+  return true;
+}
+
 module.exports = {
   loadActiveApprovals,
   saveActiveApprovals,
   shouldRemoveFromActive,
+  hasUpcomingDates,
+  watchApproved,
+  unwatch,
   getStatusText,
   CUTOFF_TIMESTAMP,
 };
@@ -0,0 +1,418 @@
+/**
+ * Approval Store
+ *
+ * Persists every synced leave approval as a first-class record keyed by sp_no
+ * (applicant, dates, half-day slots, status, apply_time, template).
+ *
+ * The board's leaveData (userid → dateKey → status) is derived from these
+ * records, so every cell can be traced back to the approval that produced it
+ * and the board can be rebuilt deterministically when merge rules change.
+ *
+ * When an approval is revised (dates moved, 销假 shortening the duration), the
+ * dates it no longer covers are kept in `removed_dates` so the board can drop
+ * those cells instead of leaving them behind forever.
+ */
+
+const storage = require('./storage');
+
+/**
+ * Load approval store from storage
+ * Throws on unreadable data so a corrupt store is never replaced by an empty one
+ * @returns {Object} Store with approvals keyed by sp_no
+ */
+function loadApprovalStore() {
+  let store;
+  try {
+    store = storage.readDocument('leave_approvals');
+  } catch (error) {
+    console.error('❌ Failed to load approval store:', error.message);
+    throw new Error('Failed to load approval store');
+  }
+
+  return store || { approvals: {}, updatedAt: null };
+}
+
+/**
+ * Save approval store to storage
+ * @param {Object} store - Approval store data
+ */
+function saveApprovalStore(store) {
+  try {
+    store.updatedAt = new Date().toISOString();
+    storage.writeDocument('leave_approvals', store);
+  } catch (error) {
+    console.error('Failed to save approval store:', error.message);
+  }
+}
+
+/**
+ * Build an approval record from a transformed approval
+ * @param {Object} transformed - Result of wecomService.transformApprovalDetail()
+ * @returns {Object} Approval record
+ */
+function buildApprovalRecord(transformed) {
+  const dateKeys = transformed.dateKeys || [];
+
+  return {
+    sp_no: transformed.spNo,
+    userid: transformed.userid,
+    name: transformed.name,
+    department: transformed.department,
+    department_path: transformed.departmentPath || null,
+    template_id: transformed.templateId || null,
+    sp_name: transformed.spName || null,
+    leave_type: transformed.leaveType || null,
+    status_code: transformed.statusCode,
+    status: transformed.status,
+    apply_time: transformed.applyTime || null,
+    submit_time: transformed.applyTime ? new Date(transformed.applyTime * 1000).toISOString() : null,
+    start_time: transformed.startTime || null,
+    end_time: transformed.endTime || null,
+    duration: transformed.duration || null,
+    leave_dates: dateKeys,
+    half_day_slots: getHalfDaySlots(dateKeys),
+    removed_dates: [],
+    updated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Employee info (name, department and its parent chain) from a stored record
+ * Shared by the overtime and availability stores, whose records have the same fields.
+ */
+function toEmployeeInfo(record) {
+  return {
+    name: record.name,
+    department: record.department,
+    departmentPath: record.department_path || [record.department],
+  };
+}
+
+function getHalfDaySlots(dateKeys) {
+  return dateKeys.filter(dateKey => dateKey.endsWith('(上午)') || dateKey.endsWith('(下午)'));
+}
+
+/**
+ * Carry over the dates a previous revision of the same approval covered
+ * but the new one does not (accumulated across revisions)
+ * @param {Object} record - New revision (modified in place)
+ * @param {Object} [previous] - Previously stored revision
+ * @returns {Array<string>} Dates dropped by this revision
+ */
+function carryRemovedDates(record, previous) {
+  if (!previous) {
+    return [];
+  }
+
+  const current = new Set(record.leave_dates);
+  const dropped = previous.leave_dates.filter(dateKey => !current.has(dateKey));
+  record.removed_dates = [...new Set([...(previous.removed_dates || []), ...dropped])]
+    .filter(dateKey => !current.has(dateKey));
+
+  if (dropped.length > 0) {
+    console.log(`   📆 ${record.sp_no} no longer covers ${dropped.join(', ')}`);
+  }
+  return dropped;
+}
+
+/**
+ * Insert or replace approval records (keyed by sp_no)
+ * @param {Array<Object>} transformedList - Transformed approvals (see buildApprovalRecord)
+ * @returns {Array<Object>} Stored records
+ */
+function recordApprovals(transformedList) {
+  const valid = (transformedList || []).filter(t => t && t.spNo);
+  if (valid.length === 0) {
+    return [];
+  }
+
+  const store = loadApprovalStore();
+  const records = valid.map(transformed => {
+    const record = buildApprovalRecord(transformed);
+    carryRemovedDates(record, store.approvals[record.sp_no]);
+    store.approvals[record.sp_no] = record;
+    return record;
+  });
+  saveApprovalStore(store);
+
+  return records;
+}
+
+/**
+ * Update the status of a stored approval
+ * Creates a minimal record from `fallback` if the approval was never stored
+ * (e.g. it was synced before the approval store existed).
+ *
+ * @param {string} spNo - Approval number
+ * @param {number} statusCode - WeChat status code
+ * @param {string} statusText - Internal status text
+ * @param {Object} [fallback] - { userid, dateKeys, applyTime, leaveType } used when no record exists
+ * @returns {Object|null} Updated record, or null if unknown and no fallback given
+ */
+function updateApprovalStatus(spNo, statusCode, statusText, fallback) {
+  const store = loadApprovalStore();
+  let record = store.approvals[spNo];
+
+  if (!record) {
+    if (!fallback || !fallback.userid || !fallback.dateKeys) {
+      return null;
+    }
+    record = buildApprovalRecord({
+      spNo,
+      userid: fallback.userid,
+      name: fallback.name || fallback.userid,
+      department: fallback.department || '未知',
+      dateKeys: fallback.dateKeys,
+      applyTime: fallback.applyTime,
+      leaveType: fallback.leaveType,
+    });
+  }
+
+  record.status_code = statusCode;
+  record.status = statusText;
+  record.updated_at = new Date().toISOString();
+  store.approvals[spNo] = record;
+  saveApprovalStore(store);
+
+  return record;
+}
+
+/**
+ * Replace the dates of a stored approval with its current ones
+ * Used where only the raw detail is at hand (status check, callbacks) to
+ * reconcile revised approvals without a full transform.
+ *
+ * @param {string} spNo - Approval number
+ * @param {Array<string>|null} dateKeys - Dates the approval covers now
+ * @returns {Array<string>} Dates dropped by this revision (empty if unchanged or unknown)
+ */
+function reviseApprovalDates(spNo, dateKeys) {
+  if (!dateKeys || dateKeys.length === 0) {
+    return [];
+  }
+
+  const store = loadApprovalStore();
+  const record = store.approvals[spNo];
+  if (!record) {
+    return [];
+  }
+
+  const sameDates = record.leave_dates.length === dateKeys.length &&
+    dateKeys.every(dateKey => record.leave_dates.includes(dateKey));
+  if (sameDates) {
+    return [];
+  }
+
+  const previous = { ...record };
+  record.leave_dates = dateKeys;
+  record.half_day_slots = getHalfDaySlots(dateKeys);
+  const dropped = carryRemovedDates(record, previous);
+  record.updated_at = new Date().toISOString();
+  saveApprovalStore(store);
+
+  return dropped;
+}
+
+/**
+ * Get a single approval record
+ * @param {string} spNo - Approval number
+ * @returns {Object|null} Approval record
+ */
+function getApproval(spNo) {
+  const store = loadApprovalStore();
+  return store.approvals[spNo] || null;
+}
+
+/**
+ * Find approvals for a user, optionally only those covering a date
+ * @param {string} userid - User ID
+ * @param {string} [date] - Date key without slot (e.g. "2026-2.3")
+ * @returns {Array<Object>} Matching approval records (oldest first)
+ */
+function findApprovals(userid, date) {
+  const store = loadApprovalStore();
+  return Object.values(store.approvals)
+    .filter(record => record.userid === userid)
+    .filter(record => !date || record.leave_dates.some(dateKey => dateKey === date || dateKey.startsWith(`${date} (`)))
+    .sort(compareByApplyTime);
+}
+
+/**
+ * Order approvals by submission time (oldest first), sp_no as tie-breaker
+ */
+function compareByApplyTime(a, b) {
+  return (a.apply_time || 0) - (b.apply_time || 0) || String(a.sp_no).localeCompare(String(b.sp_no));
+}
+
+// Cell precedence when several approvals cover the same day or half-day:
+// approved > pending > finalized (rejected, withdrawn, deleted...)
+const STATUS_PRECEDENCE = {
+  '已通过': 3,
+  '审批中': 2,
+};
+
+function getStatusPrecedence(status) {
+  return STATUS_PRECEDENCE[status] || 1;
+}
+
+/**
+ * Order the approvals covering one cell, effective one first:
+ * higher precedence first, then the most recently submitted
+ */
+function compareByPrecedence(a, b) {
+  return getStatusPrecedence(b.status) - getStatusPrecedence(a.status) || compareByApplyTime(b, a);
+}
+
+/**
+ * Derive leaveData cells from approval records
+ * Every cell keeps all approvals covering it (cellApprovals, effective first);
+ * its status and type come from the effective one (see compareByPrecedence),
+ * so results do not depend on sync or callback order.
+ *
+ * @param {Array<Object>} records - Approval records
+ * @returns {Object} { leaveData, leaveTypes, cellApprovals, employeeInfo }
+ */
+function deriveLeaveData(records) {
+  const leaveData = {};
+  const leaveTypes = {};
+  const cellApprovals = {};
+  const employeeInfo = {};
+  const contributors = {};
+
+  records.slice().sort(compareByApplyTime).forEach(record => {
+    const { userid } = record;
+
+    if (!contributors[userid]) {
+      contributors[userid] = {};
+    }
+    if (record.name) {
+      employeeInfo[userid] = toEmployeeInfo(record);
+    }
+
+    record.leave_dates.forEach(dateKey => {
+      if (!contributors[userid][dateKey]) {
+        contributors[userid][dateKey] = [];
+      }
+      contributors[userid][dateKey].push(record);
+    });
+  });
+
+  Object.keys(contributors).forEach(userid => {
+    leaveData[userid] = {};
+    leaveTypes[userid] = {};
+    cellApprovals[userid] = {};
+
+    Object.entries(contributors[userid]).forEach(([dateKey, cellRecords]) => {
+      const ordered = cellRecords.sort(compareByPrecedence);
+      const effective = ordered[0];
+
+      leaveData[userid][dateKey] = effective.status;
+      if (effective.leave_type) {
+        leaveTypes[userid][dateKey] = effective.leave_type;
+      }
+      cellApprovals[userid][dateKey] = ordered.map(record => record.sp_no);
+    });
+  });
+
+  return { leaveData, leaveTypes, cellApprovals, employeeInfo };
+}
+
+/**
+ * Re-derive the cells of the given users from the approval store
+ * Cells an approval dropped in a revision are removed unless another approval
+ * still covers them. Cells never covered by a stored approval (legacy or
+ * manual edits) are kept.
+ *
+ * @param {Object} data - Leave data document ({ leaveData, leaveTypes, cellApprovals, employeeInfo })
+ * @param {Array<string>} userids - Users whose cells should be re-derived
+ * @returns {Object} The same data object, updated in place
+ */
+function applyToLeaveData(data, userids) {
+  const affected = new Set(userids);
+  if (affected.size === 0) {
+    return data;
+  }
+
+  const store = loadApprovalStore();
+  const records = Object.values(store.approvals).filter(record => affected.has(record.userid));
+  const derived = deriveLeaveData(records);
+
+  if (!data.leaveTypes) {
+    data.leaveTypes = {};
+  }
+  if (!data.cellApprovals) {
+    data.cellApprovals = {};
+  }
+
+  Object.keys(derived.leaveData).forEach(userid => {
+    // Fully derived: replaces whatever was recorded for this user
+    data.cellApprovals[userid] = derived.cellApprovals[userid];
+
+    data.leaveData[userid] = {
+      ...(data.leaveData[userid] || {}),
+      ...derived.leaveData[userid],
+    };
+
+    // Derived cells without a type must not keep a stale type from an older approval
+    const types = { ...(data.leaveTypes[userid] || {}) };
+    Object.keys(derived.leaveData[userid]).forEach(dateKey => {
+      if (derived.leaveTypes[userid][dateKey]) {
+        types[dateKey] = derived.leaveTypes[userid][dateKey];
+      } else {
+        delete types[dateKey];
+      }
+    });
+    data.leaveTypes[userid] = types;
+  });
+
+  // Remove cells that revised approvals no longer cover
+  records.forEach(record => {
+    (record.removed_dates || []).forEach(dateKey => {
+      const cells = data.leaveData[record.userid];
+      if (cells && dateKey in cells && !(dateKey in derived.leaveData[record.userid])) {
+        delete cells[dateKey];
+        delete data.leaveTypes[record.userid][dateKey];
+      }
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Rebuild every approval-backed cell of the board from the store
+ * @param {Object} data - Leave data document ({ leaveData, employeeInfo })
+ * @returns {Object} { data, stats: { approvals, employees } }
+ */
+function rebuildLeaveData(data) {
+  const store = loadApprovalStore();
+  const records = Object.values(store.approvals);
+  const userids = [...new Set(records.map(record => record.userid))];
+
+  userids.forEach(userid => {
+    if (!data.employeeInfo[userid]) {
+      const latest = records.filter(record => record.userid === userid && record.name).sort(compareByApplyTime).pop();
+      if (latest) {
+        data.employeeInfo[userid] = toEmployeeInfo(latest);
+      }
+    }
+  });
+  applyToLeaveData(data, userids);
+
+  return { data, stats: { approvals: records.length, employees: userids.length } };
+}
+
+module.exports = {
+  loadApprovalStore,
+  saveApprovalStore,
+  buildApprovalRecord,
+  recordApprovals,
+  updateApprovalStatus,
+  reviseApprovalDates,
+  getApproval,
+  findApprovals,
+  deriveLeaveData,
+  applyToLeaveData,
+  rebuildLeaveData,
+  toEmployeeInfo,
+};
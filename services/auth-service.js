@@ -1,8 +1,8 @@
 const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
 const axios = require('axios');
 const wecomService = require('./wecom-service');
+const storage = require('./storage');
+const userService = require('./user-service');
 
 // ============================================
 // WeChat Work OAuth Integration
@@ -82,9 +82,12 @@ async function exchangeCodeForUser(code) {
 // Session Management
 // ============================================
 
-const SESSIONS_FILE = path.join(__dirname, '..', 'sessions.json');
 const SESSION_MAX_AGE_DAYS = parseInt(process.env.SESSION_MAX_AGE_DAYS || '7', 10);
 
+// lastActivity is only persisted this often: saving it on every request
+// rewrote the sessions document (and rotated its backup generations) per request
+const SESSION_ACTIVITY_INTERVAL_MS = 5 * 60 * 1000;
+
 /**
  * Create a new session for a user
  * @param {string} userid - User ID
@@ -102,7 +105,7 @@ function createSession(userid, name, department) {
     userid,
     name,
     department,
-    role: 'normal_user',
+    role: userService.getUserRole(userid),
     createdAt: now.toISOString(),
     expiresAt: expiresAt.toISOString(),
     lastActivity: now.toISOString()
@@ -135,10 +138,12 @@ function validateSession(sessionId) {
     return null;
   }
 
-  // Update last activity timestamp
-  session.lastActivity = now.toISOString();
-  sessions[sessionId] = session;
-  saveSessions(sessions);
+  // Update last activity timestamp (coarse, see SESSION_ACTIVITY_INTERVAL_MS)
+  if (!session.lastActivity || now - new Date(session.lastActivity) >= SESSION_ACTIVITY_INTERVAL_MS) {
+    session.lastActivity = now.toISOString();
+    sessions[sessionId] = session;
+    saveSessions(sessions);
+  }
 
   return session;
 }
@@ -156,33 +161,31 @@ function deleteSession(sessionId) {
 }
 
 // ============================================
-// File Persistence
+// Persistence
 // ============================================
 
 /**
- * Load sessions from JSON file
+ * Load sessions from storage
+ * Throws on unreadable data: falling back to no sessions here would let the
+ * next save overwrite every session.
  * @returns {object} Sessions object
  */
 function loadSessions() {
   try {
-    if (!fs.existsSync(SESSIONS_FILE)) {
-      return {};
-    }
-    const data = fs.readFileSync(SESSIONS_FILE, 'utf8');
-    return JSON.parse(data);
+    return storage.readDocument('sessions') || {};
   } catch (error) {
     console.error('[AUTH] Error loading sessions:', error);
-    return {};
+    throw new Error('Failed to load sessions');
   }
 }
 
 /**
- * Save sessions to JSON file
+ * Save sessions to storage
  * @param {object} sessions - Sessions object to save
  */
 function saveSessions(sessions) {
   try {
-    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2), 'utf8');
+    storage.writeDocument('sessions', sessions);
   } catch (error) {
     console.error('[AUTH] Error saving sessions:', error);
     throw error;
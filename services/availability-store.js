@@ -0,0 +1,160 @@
+/**
+ * Availability Store
+ *
+ * Persists business trip (出差) and outing (外出) approvals keyed by sp_no,
+ * separately from leave: a colleague on a trip is neither in the office nor
+ * on leave, so these never enter the leave merge rules or the leave counts.
+ *
+ * The board reads a per-day view (userid → dateKey → kind/status) built from
+ * the approved and pending records.
+ */
+
+const storage = require('./storage');
+const approvalStore = require('./approval-store');
+
+// Availability kinds (template registry categories) → board label
+const AVAILABILITY_KINDS = {
+  trip: '出差',
+  outing: '外出',
+};
+
+// Statuses shown on the board; rejected/withdrawn records are kept but hidden
+const VISIBLE_STATUSES = ['已通过', '审批中'];
+
+/**
+ * Load availability store from storage
+ * Throws on unreadable data so a corrupt store is never replaced by an empty one
+ * @returns {Object} Store with records keyed by sp_no
+ */
+function loadAvailabilityStore() {
+  let store;
+  try {
+    store = storage.readDocument('availability_data');
+  } catch (error) {
+    console.error('❌ Failed to load availability store:', error.message);
+    throw new Error('Failed to load availability store');
+  }
+
+  return store || { records: {}, updatedAt: null };
+}
+
+/**
+ * Save availability store to storage
+ * @param {Object} store - Availability store data
+ */
+function saveAvailabilityStore(store) {
+  try {
+    store.updatedAt = new Date().toISOString();
+    storage.writeDocument('availability_data', store);
+  } catch (error) {
+    console.error('Failed to save availability store:', error.message);
+  }
+}
+
+/**
+ * Insert or replace trip/outing records (keyed by sp_no)
+ * @param {Array<Object>} transformedList - Transformed approvals (category 'trip' or 'outing')
+ * @returns {number} Number of records stored
+ */
+function recordAvailability(transformedList) {
+  const valid = (transformedList || []).filter(t => t && t.spNo && AVAILABILITY_KINDS[t.category]);
+  if (valid.length === 0) {
+    return 0;
+  }
+
+  const store = loadAvailabilityStore();
+  valid.forEach(transformed => {
+    store.records[transformed.spNo] = {
+      sp_no: transformed.spNo,
+      kind: transformed.category,
+      userid: transformed.userid,
+      name: transformed.name,
+      department: transformed.department,
+      department_path: transformed.departmentPath || null,
+      template_id: transformed.templateId || null,
+      sp_name: transformed.spName || null,
+      status_code: transformed.statusCode,
+      status: transformed.status,
+      apply_time: transformed.applyTime || null,
+      start_time: transformed.startTime || null,
+      end_time: transformed.endTime || null,
+      duration: transformed.duration || null,
+      dates: transformed.dateKeys,
+      updated_at: new Date().toISOString(),
+    };
+  });
+  saveAvailabilityStore(store);
+
+  return valid.length;
+}
+
+/**
+ * Update the status of a stored trip/outing record
+ * @param {string} spNo - Approval number
+ * @param {number} statusCode - WeChat status code
+ * @param {string} statusText - Internal status text
+ * @returns {Object|null} Updated record, or null if unknown
+ */
+function updateAvailabilityStatus(spNo, statusCode, statusText) {
+  const store = loadAvailabilityStore();
+  const record = store.records[spNo];
+  if (!record) {
+    return null;
+  }
+
+  record.status_code = statusCode;
+  record.status = statusText;
+  record.updated_at = new Date().toISOString();
+  saveAvailabilityStore(store);
+
+  return record;
+}
+
+/**
+ * Pending trip/outing approvals, re-checked by the status check until finalized
+ * @param {number} [since] - Only approvals submitted at or after this Unix time
+ * @returns {Array<Object>} Records still 审批中
+ */
+function listPendingAvailability(since = 0) {
+  const store = loadAvailabilityStore();
+  return Object.values(store.records)
+    .filter(record => record.status_code === 1 && (record.apply_time || 0) >= since);
+}
+
+/**
+ * Build the per-day availability view shown on the board
+ * Shaped like leave data so leaveRecords.filterLeaveData() can filter it.
+ * Where records overlap, an approved one wins over a pending one, then the
+ * latest submitted.
+ * @returns {Object} { leaveData: userid → dateKey → { kind, status, spNos }, employeeInfo, updatedAt }
+ */
+function buildAvailabilityView() {
+  const store = loadAvailabilityStore();
+  const view = { leaveData: {}, employeeInfo: {}, updatedAt: store.updatedAt };
+
+  Object.values(store.records)
+    .filter(record => VISIBLE_STATUSES.includes(record.status))
+    .sort((a, b) => (a.status === b.status
+      ? (a.apply_time || 0) - (b.apply_time || 0)
+      : VISIBLE_STATUSES.indexOf(b.status) - VISIBLE_STATUSES.indexOf(a.status)))
+    .forEach(record => {
+      const cells = view.leaveData[record.userid] || (view.leaveData[record.userid] = {});
+      view.employeeInfo[record.userid] = approvalStore.toEmployeeInfo(record);
+
+      (record.dates || []).forEach(dateKey => {
+        const spNos = cells[dateKey] ? cells[dateKey].spNos : [];
+        cells[dateKey] = { kind: record.kind, status: record.status, spNos: spNos.concat(record.sp_no) };
+      });
+    });
+
+  return view;
+}
+
+module.exports = {
+  loadAvailabilityStore,
+  recordAvailability,
+  updateAvailabilityStatus,
+  listPendingAvailability,
+  buildAvailabilityView,
+  AVAILABILITY_KINDS,
+};
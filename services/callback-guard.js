@@ -0,0 +1,129 @@
+/**
+ * Callback Guard - Replay and duplicate protection for POST /callback
+ *
+ * A valid signature alone does not stop an old request from being replayed,
+ * and WeChat Work retries deliver the same event more than once:
+ * - Requests whose timestamp is older than CALLBACK_MAX_AGE_SECONDS, or more
+ *   than MAX_CLOCK_SKEW_SECONDS in the future, are rejected
+ * - A timestamp/nonce pair seen before is a duplicate (replayed request)
+ * - A decrypted message seen before is a duplicate (re-delivered event)
+ *
+ * Seen keys only need to be remembered for the freshness window (anything
+ * older is rejected anyway), so the cache is in memory. A nonce is remembered
+ * until its request timestamp leaves the window, however late it arrived.
+ */
+
+const crypto = require('crypto');
+
+const MAX_AGE_SECONDS = parseInt(process.env.CALLBACK_MAX_AGE_SECONDS || '300', 10);
+
+// Tolerated clock difference for timestamps ahead of ours
+const MAX_CLOCK_SKEW_SECONDS = 60;
+
+// key → expiry (ms since epoch)
+const seenNonces = new Map();
+const seenMessages = new Map();
+
+const stats = {
+  accepted: 0,
+  duplicate: 0,
+  rejected: 0,
+  since: new Date().toISOString(),
+  lastRejectedReason: null,
+};
+
+/**
+ * Check that a request timestamp is within the freshness window
+ * @param {string} timestamp - Unix seconds from the query string
+ * @returns {boolean} True if fresh
+ */
+function isFresh(timestamp) {
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds)) {
+    return false;
+  }
+  const age = Date.now() / 1000 - seconds;
+  return age >= -MAX_CLOCK_SKEW_SECONDS && age <= MAX_AGE_SECONDS;
+}
+
+/**
+ * Remember a timestamp/nonce pair
+ * @returns {boolean} True if it was already seen (replayed request)
+ */
+function checkNonce(timestamp, nonce) {
+  return markSeen(seenNonces, `${timestamp}:${nonce}`, (Number(timestamp) + MAX_AGE_SECONDS) * 1000);
+}
+
+/**
+ * Remember a decrypted message (MsgId when present, otherwise its content hash)
+ * @param {string} decryptedXml - Decrypted payload
+ * @param {string|null} msgId - MsgId field, if any
+ * @returns {boolean} True if it was already seen (re-delivered event)
+ */
+function checkMessage(decryptedXml, msgId) {
+  const key = msgId || crypto.createHash('sha1').update(decryptedXml).digest('hex');
+  return markSeen(seenMessages, key, Date.now() + MAX_AGE_SECONDS * 1000);
+}
+
+/**
+ * @param {number} expiresAt - When the key may be forgotten (ms since epoch)
+ * @returns {boolean} True if the key was already seen and has not expired
+ */
+function markSeen(cache, key, expiresAt) {
+  const now = Date.now();
+  pruneExpired(cache, now);
+
+  if (cache.get(key) > now) {
+    return true;
+  }
+  cache.delete(key);
+  cache.set(key, expiresAt);
+  return false;
+}
+
+// Insertion order is close to expiry order (nonces expire with their request
+// timestamp), so pruning stops at the first live entry; an expired entry left
+// behind it is ignored by markSeen until a later pass drops it
+function pruneExpired(cache, now) {
+  for (const [key, expiresAt] of cache) {
+    if (expiresAt > now) {
+      break;
+    }
+    cache.delete(key);
+  }
+}
+
+function recordAccepted() {
+  stats.accepted++;
+}
+
+function recordDuplicate() {
+  stats.duplicate++;
+}
+
+/**
+ * @param {string} reason - Short reason, kept for the status endpoint
+ */
+function recordRejected(reason) {
+  stats.rejected++;
+  stats.lastRejectedReason = reason;
+}
+
+/**
+ * Counters since process start
+ */
+function getStats() {
+  return { ...stats, maxAgeSeconds: MAX_AGE_SECONDS };
+}
+
+module.exports = {
+  isFresh,
+  checkNonce,
+  checkMessage,
+  recordAccepted,
+  recordDuplicate,
+  recordRejected,
+  getStats,
+  MAX_AGE_SECONDS,
+  MAX_CLOCK_SKEW_SECONDS,
+};
@@ -6,17 +6,25 @@
  *
  * Supplements (does not replace) the polling schedulers.
  * Callbacks can be missed per WeChat docs, so schedulers remain as safety net.
+ *
+ * Events go through the durable callback queue (callback-queue.js): they
+ * survive restarts, failures are retried with backoff and eventually
+ * dead-lettered.
  */
 
 const { extractXmlField } = require('./wecom-crypto');
 const wecomService = require('./wecom-service');
 const activeApprovalManager = require('./active-approvals');
 const syncLock = require('./sync-lock');
+const approvalStore = require('./approval-store');
+const overtimeStore = require('./overtime-store');
+const availabilityStore = require('./availability-store');
+const templateRegistry = require('./template-registry');
+const callbackQueue = require('./callback-queue');
+const syncRuns = require('./sync-runs');
+const notifier = require('./notifier');
 const { loadLeaveData, saveLeaveData, mergeLeaveData } = require('./sync-scheduler');
 
-// In-memory queue for events received while sync lock is held
-const pendingQueue = [];
-
 // Queue drain interval handle
 let drainInterval = null;
 
@@ -37,6 +45,7 @@ async function handleApprovalChange(decryptedXml) {
     const spNo = extractXmlField(approvalInfoXml, 'SpNo');
     const spStatus = extractXmlField(approvalInfoXml, 'SpStatus');
     const spName = extractXmlField(approvalInfoXml, 'SpName');
+    const templateId = extractXmlField(approvalInfoXml, 'TemplateId');
     const statuChangeEvent = extractXmlField(approvalInfoXml, 'StatuChangeEvent');
 
     if (!spNo || !spStatus) {
@@ -47,8 +56,8 @@ async function handleApprovalChange(decryptedXml) {
     console.log(`[CALLBACK] Approval change: SpNo=${spNo}, SpStatus=${spStatus}, SpName=${spName}, StatuChangeEvent=${statuChangeEvent}`);
 
     // 3. Early exit filters
-    if (spName && spName !== '请假') {
-      console.log(`[CALLBACK] Not a leave request (${spName}), ignoring`);
+    if (!templateRegistry.isRelevant(templateId, spName)) {
+      console.log(`[CALLBACK] Template not registered (${spName}, ${templateId}), ignoring`);
       return;
     }
 
@@ -67,18 +76,14 @@ async function handleApprovalChange(decryptedXml) {
       }
     }
 
-    // 4. Try to acquire sync lock
-    if (!syncLock.acquireLock()) {
-      console.log(`[CALLBACK] Sync lock held, queuing SpNo=${spNo}`);
-      pendingQueue.push({ spNo, spStatus: spStatusNum });
+    // 4. Persist the event, then process it right away unless the sync lock is held
+    callbackQueue.enqueue(spNo, spStatusNum);
+    if (syncLock.isLocked()) {
+      console.log(`[CALLBACK] Sync lock held, queued SpNo=${spNo}`);
       return;
     }
 
-    try {
-      await processApprovalChange(spNo, spStatusNum);
-    } finally {
-      syncLock.releaseLock();
-    }
+    await drainQueue();
   } catch (error) {
     console.error('[CALLBACK] Error handling approval change:', error.message);
   }
@@ -88,35 +93,44 @@ async function handleApprovalChange(decryptedXml) {
  * Process a single approval change (caller must hold sync lock)
  * @param {string} spNo - Approval number
  * @param {number} callbackStatus - Status from callback (hint only — API detail is authoritative)
+ * @throws {Error} If the detail cannot be fetched or applied (the event is retried)
  */
 async function processApprovalChange(spNo, callbackStatus) {
-  try {
-    // Fetch fresh detail from API (authoritative source)
-    const accessToken = await wecomService.getAccessToken();
-    const detail = await wecomService.getApprovalDetail(accessToken, spNo);
-    const apiStatus = detail.sp_status;
+  // Fetch fresh detail from API (authoritative source)
+  const accessToken = await wecomService.getAccessToken();
+  const detail = await wecomService.getApprovalDetail(accessToken, spNo);
+  const apiStatus = detail.sp_status;
 
-    console.log(`[CALLBACK] Processing SpNo=${spNo}, API status=${apiStatus}`);
+  console.log(`[CALLBACK] Processing SpNo=${spNo}, API status=${apiStatus}`);
 
-    const statusText = wecomService.getStatusText(apiStatus);
-    if (!statusText) {
-      console.log(`[CALLBACK] Unknown status ${apiStatus} for SpNo=${spNo}, skipping`);
-      return;
-    }
+  const statusText = wecomService.getStatusText(apiStatus);
+  if (!statusText) {
+    console.log(`[CALLBACK] Unknown status ${apiStatus} for SpNo=${spNo}, skipping`);
+    return;
+  }
 
-    const activeData = activeApprovalManager.loadActiveApprovals();
-    const isInActiveList = !!activeData.approvals[spNo];
+  // Overtime and trips/outings are stored apart from leave and need no
+  // active-list tracking
+  const template = templateRegistry.matchTemplate(detail.template_id, detail.sp_name);
+  if (template && template.category === 'overtime') {
+    await processOvertimeApproval(detail, accessToken, statusText);
+    return;
+  }
+  if (template && availabilityStore.AVAILABILITY_KINDS[template.category]) {
+    await processAvailabilityApproval(detail, accessToken, statusText);
+    return;
+  }
 
-    if (apiStatus === 1) {
-      await processPendingApproval(detail, accessToken, activeData);
-    } else if (apiStatus === 2) {
-      await processApprovedApproval(detail, accessToken, activeData, isInActiveList);
-    } else {
-      // Rejected/withdrawn/deleted/paid (3, 4, 6, 7, 10)
-      await processFinalizedApproval(detail, accessToken, activeData, isInActiveList, statusText);
-    }
-  } catch (error) {
-    console.error(`[CALLBACK] Failed to process SpNo=${spNo}:`, error.message);
+  const activeData = activeApprovalManager.loadActiveApprovals();
+  const isInActiveList = !!activeData.approvals[spNo];
+
+  if (apiStatus === 1) {
+    await processPendingApproval(detail, accessToken, activeData);
+  } else if (apiStatus === 2) {
+    await processApprovedApproval(detail, accessToken, activeData, isInActiveList);
+  } else {
+    // Rejected/withdrawn/deleted/paid (3, 4, 6, 7, 10)
+    await processFinalizedApproval(detail, accessToken, activeData, isInActiveList, statusText);
   }
 }
 
@@ -139,7 +153,7 @@ async function processPendingApproval(detail, accessToken, activeData) {
   // Merge into leave_data.json
   const existingData = loadLeaveData();
   const { merged } = mergeLeaveData(existingData, wecomData);
-  saveLeaveData(merged);
+  saveLeaveData(merged, { source: 'callback', spNo });
 
   // Add to active approvals tracking
   activeData.approvals[spNo] = {
@@ -152,6 +166,7 @@ async function processPendingApproval(detail, accessToken, activeData) {
     current_status: 1,
     status_text: '审批中',
     leave_dates: transformed.dateKeys,
+    leave_type: transformed.leaveType || null,
     last_checked: Math.floor(Date.now() / 1000),
     last_checked_time: new Date().toISOString(),
   };
@@ -170,17 +185,31 @@ async function processApprovedApproval(detail, accessToken, activeData, isInActi
     // Fast path: use stored leave_dates from active list
     const activeEntry = activeData.approvals[spNo];
     const existingData = loadLeaveData();
+    const previousStatus = getStoredStatus(spNo);
+
+    approvalStore.updateApprovalStatus(spNo, 2, '已通过', fallbackFromActiveEntry(activeEntry));
+    approvalStore.reviseApprovalDates(spNo, wecomService.extractDateKeys(detail));
 
     if (existingData.leaveData[activeEntry.userid]) {
-      activeEntry.leave_dates.forEach(dateKey => {
-        existingData.leaveData[activeEntry.userid][dateKey] = '已通过';
-      });
-      existingData.updatedAt = new Date().toISOString();
-      saveLeaveData(existingData);
+      approvalStore.applyToLeaveData(existingData, [activeEntry.userid]);
+      saveLeaveData(existingData, { source: 'callback', spNo });
     }
 
-    // Remove from active list
+    notifyLeaveChange(accessToken, existingData, previousStatus, {
+      spNo,
+      userid: activeEntry.userid,
+      name: activeEntry.name,
+      status: '已通过',
+      dateKeys: wecomService.extractDateKeys(detail) || activeEntry.leave_dates,
+      leaveType: activeEntry.leave_type,
+    });
+
+    // Remove from active list; watch it for revocation while its dates are ahead
     delete activeData.approvals[spNo];
+    activeApprovalManager.watchApproved(activeData, {
+      ...activeEntry,
+      leave_dates: wecomService.extractDateKeys(detail) || activeEntry.leave_dates,
+    });
     activeApprovalManager.saveActiveApprovals(activeData);
 
     console.log(`[CALLBACK] Approved SpNo=${spNo} for ${activeEntry.name}, updated ${activeEntry.leave_dates.length} dates`);
@@ -194,8 +223,32 @@ async function processApprovedApproval(detail, accessToken, activeData, isInActi
 
     const wecomData = buildWecomDataFromTransformed(transformed);
     const existingData = loadLeaveData();
+    // Read before the merge records the approval (a sync may have stored it already)
+    const previousStatus = getStoredStatus(spNo);
     const { merged } = mergeLeaveData(existingData, wecomData);
-    saveLeaveData(merged);
+    saveLeaveData(merged, { source: 'callback', spNo });
+
+    notifyLeaveChange(accessToken, merged, previousStatus, {
+      spNo,
+      userid: transformed.userid,
+      name: transformed.name,
+      status: transformed.status,
+      dateKeys: transformed.dateKeys,
+      leaveType: transformed.leaveType,
+    });
+
+    if (detail.apply_time >= activeApprovalManager.CUTOFF_TIMESTAMP && activeApprovalManager.watchApproved(activeData, {
+      sp_no: spNo,
+      userid: transformed.userid,
+      name: transformed.name,
+      department: transformed.department,
+      apply_time: detail.apply_time,
+      submit_time: new Date(detail.apply_time * 1000).toISOString(),
+      leave_dates: transformed.dateKeys,
+      leave_type: transformed.leaveType || null,
+    })) {
+      activeApprovalManager.saveActiveApprovals(activeData);
+    }
 
     console.log(`[CALLBACK] Approved SpNo=${spNo} for ${transformed.name} (not in active list, full merge)`);
   }
@@ -211,25 +264,36 @@ async function processFinalizedApproval(detail, accessToken, activeData, isInAct
     // Use stored leave_dates from active list
     const activeEntry = activeData.approvals[spNo];
     const existingData = loadLeaveData();
+    const previousStatus = getStoredStatus(spNo);
+
+    approvalStore.updateApprovalStatus(spNo, detail.sp_status, statusText, fallbackFromActiveEntry(activeEntry));
+    approvalStore.reviseApprovalDates(spNo, wecomService.extractDateKeys(detail));
 
     if (existingData.leaveData[activeEntry.userid]) {
-      activeEntry.leave_dates.forEach(dateKey => {
-        existingData.leaveData[activeEntry.userid][dateKey] = statusText;
-      });
-      existingData.updatedAt = new Date().toISOString();
-      saveLeaveData(existingData);
+      approvalStore.applyToLeaveData(existingData, [activeEntry.userid]);
+      saveLeaveData(existingData, { source: 'callback', spNo });
     }
 
+    notifyLeaveChange(accessToken, existingData, previousStatus, {
+      spNo,
+      userid: activeEntry.userid,
+      name: activeEntry.name,
+      status: statusText,
+      dateKeys: activeEntry.leave_dates,
+      leaveType: activeEntry.leave_type,
+    });
+
     // Remove from active list
     delete activeData.approvals[spNo];
+    activeApprovalManager.unwatch(activeData, spNo);
     activeApprovalManager.saveActiveApprovals(activeData);
 
     console.log(`[CALLBACK] Finalized SpNo=${spNo} for ${activeEntry.name} -> ${statusText}`);
   } else {
     // Not in active list — extract dates from detail directly
-    const vacationData = wecomService.parseVacationData(detail.apply_data);
+    const vacationData = wecomService.parseApprovalData(detail);
     if (!vacationData) {
-      console.log(`[CALLBACK] Could not parse vacation data for SpNo=${spNo}, skipping`);
+      console.log(`[CALLBACK] Could not parse approval data for SpNo=${spNo}, skipping`);
       return;
     }
 
@@ -245,13 +309,31 @@ async function processFinalizedApproval(detail, accessToken, activeData, isInAct
       return;
     }
 
+    const previousStatus = getStoredStatus(spNo);
+    approvalStore.updateApprovalStatus(spNo, detail.sp_status, statusText, {
+      userid,
+      dateKeys,
+      applyTime: detail.apply_time,
+      leaveType: vacationData.leaveType,
+    });
+    approvalStore.reviseApprovalDates(spNo, dateKeys);
+
+    // A revoked approved leave (通过后撤销) no longer needs watching
+    if (activeApprovalManager.unwatch(activeData, spNo)) {
+      activeApprovalManager.saveActiveApprovals(activeData);
+    }
+
     const existingData = loadLeaveData();
     if (existingData.leaveData[userid]) {
-      dateKeys.forEach(dateKey => {
-        existingData.leaveData[userid][dateKey] = statusText;
+      approvalStore.applyToLeaveData(existingData, [userid]);
+      saveLeaveData(existingData, { source: 'callback', spNo });
+      notifyLeaveChange(accessToken, existingData, previousStatus, {
+        spNo,
+        userid,
+        status: statusText,
+        dateKeys,
+        leaveType: vacationData.leaveType,
       });
-      existingData.updatedAt = new Date().toISOString();
-      saveLeaveData(existingData);
       console.log(`[CALLBACK] Finalized SpNo=${spNo} for userid=${userid} -> ${statusText} (not in active list)`);
     } else {
       console.log(`[CALLBACK] Finalized SpNo=${spNo} but userid=${userid} not in leave data, skipping`);
@@ -259,34 +341,138 @@ async function processFinalizedApproval(detail, accessToken, activeData, isInAct
   }
 }
 
+/**
+ * Process an overtime approval in any status
+ * A full transform records the current hours and status; if the form can no
+ * longer be parsed, only the stored record's status is updated.
+ */
+async function processOvertimeApproval(detail, accessToken, statusText) {
+  const spNo = detail.sp_no;
+
+  const transformed = await wecomService.transformApprovalDetail(detail, accessToken);
+  if (transformed) {
+    overtimeStore.recordOvertime([transformed]);
+    console.log(`[CALLBACK] Overtime SpNo=${spNo} for ${transformed.name} -> ${statusText} (${transformed.duration / 3600}h)`);
+    return;
+  }
+
+  if (overtimeStore.updateOvertimeStatus(spNo, detail.sp_status, statusText)) {
+    console.log(`[CALLBACK] Overtime SpNo=${spNo} -> ${statusText}`);
+  } else {
+    console.log(`[CALLBACK] Could not transform overtime SpNo=${spNo}, skipping`);
+  }
+}
+
+/**
+ * Process a trip (出差) / outing (外出) approval in any status
+ * Same approach as overtime: full transform when possible, status update otherwise.
+ */
+async function processAvailabilityApproval(detail, accessToken, statusText) {
+  const spNo = detail.sp_no;
+
+  const transformed = await wecomService.transformApprovalDetail(detail, accessToken);
+  if (transformed) {
+    availabilityStore.recordAvailability([transformed]);
+    console.log(`[CALLBACK] ${availabilityStore.AVAILABILITY_KINDS[transformed.category]} SpNo=${spNo} for ${transformed.name} -> ${statusText} (${transformed.dateKeys.length} days)`);
+    return;
+  }
+
+  if (availabilityStore.updateAvailabilityStatus(spNo, detail.sp_status, statusText)) {
+    console.log(`[CALLBACK] Trip/outing SpNo=${spNo} -> ${statusText}`);
+  } else {
+    console.log(`[CALLBACK] Could not transform trip/outing SpNo=${spNo}, skipping`);
+  }
+}
+
+/**
+ * Status of an approval as recorded in the approval store
+ * @returns {string|null} Status text, or null if never stored
+ */
+function getStoredStatus(spNo) {
+  const record = approvalStore.getApproval(spNo);
+  return record ? record.status : null;
+}
+
+/**
+ * Send the optional leave notification for a changed approval
+ * Only real transitions are notified: a callback for a status already
+ * recorded (re-delivered, or applied by a sync first) sends nothing.
+ * Not awaited: a slow or failing message/send must neither hold the sync lock
+ * nor fail (and retry) the callback.
+ * @param {Object} data - Leave data the change was saved to (for name and department)
+ * @param {string|null} previousStatus - Stored status before this change
+ * @param {Object} change - { spNo, userid, name, status, dateKeys, leaveType }
+ */
+function notifyLeaveChange(accessToken, data, previousStatus, change) {
+  if (previousStatus === change.status) {
+    return;
+  }
+
+  const info = (data.employeeInfo && data.employeeInfo[change.userid]) || {};
+  notifier.notifyLeaveEvent(accessToken, {
+    ...change,
+    name: info.name || change.name || change.userid,
+    department: info.department || null,
+    departmentPath: info.departmentPath || [],
+  }).catch(error => {
+    console.error(`[NOTIFY] Failed to notify SpNo=${change.spNo}: ${error.message}`);
+  });
+}
+
 /**
  * Build wecom-format data structure from a single transformed approval
  * Compatible with mergeLeaveData() input format
  */
 function buildWecomDataFromTransformed(transformed) {
-  const { userid, name, department, status, dateKeys } = transformed;
+  const { userid, name, department, departmentPath, employmentStatus, status, dateKeys, leaveType } = transformed;
 
   const leaveData = {};
+  const leaveTypes = {};
   leaveData[userid] = {};
+  leaveTypes[userid] = {};
   dateKeys.forEach(dateKey => {
     leaveData[userid][dateKey] = status;
+    if (leaveType) {
+      leaveTypes[userid][dateKey] = leaveType;
+    }
   });
 
   const employeeInfo = {};
-  employeeInfo[userid] = { name, department };
+  employeeInfo[userid] = { name, department, departmentPath: departmentPath || [department], employmentStatus };
+
+  return { leaveData, leaveTypes, employeeInfo, approvals: [transformed] };
+}
 
-  return { leaveData, employeeInfo };
+/**
+ * Build an approval store fallback record from an active approvals entry
+ * Used when the approval was tracked before the approval store existed
+ */
+function fallbackFromActiveEntry(activeEntry) {
+  return {
+    userid: activeEntry.userid,
+    name: activeEntry.name,
+    department: activeEntry.department,
+    applyTime: activeEntry.apply_time,
+    dateKeys: activeEntry.leave_dates,
+    leaveType: activeEntry.leave_type,
+  };
 }
 
 /**
- * Drain the pending queue when sync lock becomes available
+ * Process queued events that are due (when the sync lock is available)
+ * Each event is removed on success; a failure schedules a retry or
+ * dead-letters it.
  */
 async function drainQueue() {
-  if (pendingQueue.length === 0) {
+  let events;
+  try {
+    events = callbackQueue.getDueEvents();
+  } catch (error) {
+    console.error('[CALLBACK] Queue drain error:', error.message);
     return;
   }
 
-  if (syncLock.isLocked()) {
+  if (events.length === 0) {
     return;
   }
 
@@ -294,19 +480,22 @@ async function drainQueue() {
     return;
   }
 
-  // Take all items from queue atomically
-  const items = pendingQueue.splice(0);
-  console.log(`[CALLBACK] Draining queue: ${items.length} items`);
+  if (events.length > 1) {
+    console.log(`[CALLBACK] Draining queue: ${events.length} items`);
+  }
 
   try {
-    // Deduplicate by spNo (keep latest status)
-    const deduped = new Map();
-    items.forEach(item => {
-      deduped.set(item.spNo, item.spStatus);
-    });
-
-    for (const [spNo, spStatus] of deduped) {
-      await processApprovalChange(spNo, spStatus);
+    for (const event of events) {
+      const run = syncRuns.startRun('callback', { spNo: event.spNo });
+      try {
+        await processApprovalChange(event.spNo, event.spStatus);
+        callbackQueue.markDone(event);
+        syncRuns.finishRun(run, { syncedCount: 1 });
+      } catch (error) {
+        console.error(`[CALLBACK] Failed to process SpNo=${event.spNo}:`, error.message);
+        callbackQueue.markFailed(event, error);
+        syncRuns.finishRun(run, { error, errors: [{ spNo: event.spNo, error: error.message }] });
+      }
     }
   } catch (error) {
     console.error('[CALLBACK] Queue drain error:', error.message);
@@ -338,6 +527,7 @@ function stopQueueDrain() {
 
 module.exports = {
   handleApprovalChange,
+  drainQueue,
   startQueueDrain,
   stopQueueDrain,
 };
@@ -0,0 +1,198 @@
+/**
+ * Callback Queue - Durable queue for approval change events
+ *
+ * Callback events used to wait in memory while the sync lock was held, so a
+ * restart lost them, and a failed event was only logged. Now every event is
+ * persisted until it has been processed:
+ * - One entry per sp_no (a newer event for the same sp_no replaces the older one)
+ * - A failed event is retried with exponential backoff
+ * - After CALLBACK_MAX_ATTEMPTS failures it moves to the dead-letter list,
+ *   where an admin can retry or discard it
+ */
+
+const storage = require('./storage');
+
+const MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS || '5', 10);
+const BASE_BACKOFF_MS = 2000;          // 2s, 4s, 8s...
+const MAX_BACKOFF_MS = 5 * 60 * 1000;  // Capped at 5 minutes
+
+/**
+ * Load the queue from storage
+ * Throws on unreadable data so queued events are never silently dropped
+ * @returns {Object} { events: { [spNo]: event }, deadLetters: { [spNo]: event } }
+ */
+function loadQueue() {
+  let data;
+  try {
+    data = storage.readDocument('callback_queue');
+  } catch (error) {
+    console.error('❌ Failed to load callback queue:', error.message);
+    throw new Error('Failed to load callback queue');
+  }
+
+  return data || { events: {}, deadLetters: {} };
+}
+
+/**
+ * Save the queue to storage
+ */
+function saveQueue(queue) {
+  try {
+    storage.writeDocument('callback_queue', queue);
+  } catch (error) {
+    console.error('Failed to save callback queue:', error.message);
+  }
+}
+
+/**
+ * Queue an event (replaces a queued or dead-lettered event for the same sp_no)
+ * @param {string} spNo - Approval number
+ * @param {number} spStatus - Status from the callback
+ * @returns {Object} Queued event
+ */
+function enqueue(spNo, spStatus) {
+  const queue = loadQueue();
+  const now = new Date().toISOString();
+
+  const event = {
+    spNo,
+    spStatus,
+    receivedAt: now,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+  queue.events[spNo] = event;
+  delete queue.deadLetters[spNo];
+  saveQueue(queue);
+
+  return event;
+}
+
+/**
+ * Get events due for processing, oldest first
+ * @returns {Array} Events
+ */
+function getDueEvents() {
+  const now = new Date().toISOString();
+  return Object.values(loadQueue().events)
+    .filter(event => event.nextAttemptAt <= now)
+    .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+}
+
+/**
+ * Remove a processed event
+ * Ignored if a newer event for the same sp_no arrived while it was processed
+ * @param {Object} event - Event returned by getDueEvents
+ */
+function markDone(event) {
+  const queue = loadQueue();
+  const current = queue.events[event.spNo];
+  if (!current || current.receivedAt !== event.receivedAt) {
+    return;
+  }
+
+  delete queue.events[event.spNo];
+  saveQueue(queue);
+}
+
+/**
+ * Record a failed attempt: schedule a retry, or dead-letter the event
+ * @param {Object} event - Event returned by getDueEvents
+ * @param {Error} error - Failure
+ * @returns {boolean} True if the event was dead-lettered
+ */
+function markFailed(event, error) {
+  const queue = loadQueue();
+  const current = queue.events[event.spNo];
+  if (!current || current.receivedAt !== event.receivedAt) {
+    return false;
+  }
+
+  current.attempts++;
+  current.lastError = error.message;
+  current.lastAttemptAt = new Date().toISOString();
+
+  if (current.attempts >= MAX_ATTEMPTS) {
+    delete queue.events[event.spNo];
+    queue.deadLetters[event.spNo] = { ...current, deadLetteredAt: current.lastAttemptAt };
+    saveQueue(queue);
+    console.error(`[CALLBACK] SpNo=${event.spNo} dead-lettered after ${current.attempts} attempts: ${error.message}`);
+    return true;
+  }
+
+  const backoff = Math.min(BASE_BACKOFF_MS * Math.pow(2, current.attempts - 1), MAX_BACKOFF_MS);
+  current.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+  saveQueue(queue);
+  console.warn(`[CALLBACK] SpNo=${event.spNo} failed (attempt ${current.attempts}/${MAX_ATTEMPTS}), retry in ${backoff / 1000}s`);
+  return false;
+}
+
+/**
+ * Move a dead-lettered event back into the queue (attempts reset)
+ * @param {string} spNo - Approval number
+ * @returns {Object|null} Queued event, or null if not dead-lettered
+ */
+function retryDeadLetter(spNo) {
+  const queue = loadQueue();
+  const deadLetter = queue.deadLetters[spNo];
+  if (!deadLetter) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const event = {
+    spNo,
+    spStatus: deadLetter.spStatus,
+    receivedAt: now,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+  delete queue.deadLetters[spNo];
+  queue.events[spNo] = event;
+  saveQueue(queue);
+
+  return event;
+}
+
+/**
+ * Drop a dead-lettered event
+ * @param {string} spNo - Approval number
+ * @returns {boolean} True if it was dead-lettered
+ */
+function discardDeadLetter(spNo) {
+  const queue = loadQueue();
+  if (!queue.deadLetters[spNo]) {
+    return false;
+  }
+
+  delete queue.deadLetters[spNo];
+  saveQueue(queue);
+  return true;
+}
+
+/**
+ * Snapshot of pending and dead-lettered events, oldest first
+ */
+function getQueueStatus() {
+  const queue = loadQueue();
+  const byReceived = (a, b) => a.receivedAt.localeCompare(b.receivedAt);
+
+  return {
+    maxAttempts: MAX_ATTEMPTS,
+    pending: Object.values(queue.events).sort(byReceived),
+    deadLetters: Object.values(queue.deadLetters).sort(byReceived),
+  };
+}
+
+module.exports = {
+  enqueue,
+  getDueEvents,
+  markDone,
+  markFailed,
+  retryDeadLetter,
+  discardDeadLetter,
+  getQueueStatus,
+  MAX_ATTEMPTS,
+};
@@ -0,0 +1,165 @@
+/**
+ * Department History - Effective-dated department membership
+ *
+ * employeeInfo[userid] keeps the current department (department,
+ * departmentPath) plus departmentHistory: every assignment with the day it
+ * took effect, oldest first. Leave is attributed to the department the
+ * employee belonged to on the day of the leave, so a transfer no longer moves
+ * past leave to the new department in filters and reports.
+ *
+ * WeChat Work only reports the current department, so a transfer takes effect
+ * on the day a sync (or the nightly directory sync) first sees it. The first
+ * known assignment covers everything before it (from: null).
+ */
+
+// Department shown when the applicant's user info could not be fetched
+const UNKNOWN_DEPARTMENT = '未知';
+
+/**
+ * Today as YYYY-MM-DD (local time)
+ */
+function getToday() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Sortable day number (20260203) of a YYYY-MM-DD date
+ * @returns {number} -Infinity for null (open start)
+ */
+function toDayNumber(date) {
+  if (!date) {
+    return -Infinity;
+  }
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Department assignments of an employee, oldest first
+ * Employees recorded before history was kept have a single open-ended one.
+ * @param {Object} info - employeeInfo entry
+ * @returns {Array<Object>} [{ department, departmentPath, from }]
+ */
+function getDepartmentHistory(info) {
+  if (!info) {
+    return [];
+  }
+  if (Array.isArray(info.departmentHistory) && info.departmentHistory.length > 0) {
+    return info.departmentHistory;
+  }
+  return [{
+    department: info.department,
+    departmentPath: info.departmentPath || [info.department],
+    from: null,
+  }];
+}
+
+/**
+ * Whether two assignments name the same department
+ * Chains recorded before parent chains were stored only hold the name.
+ */
+function isSameDepartment(a, b) {
+  if (a.department !== b.department) {
+    return false;
+  }
+  const pathA = a.departmentPath || [];
+  const pathB = b.departmentPath || [];
+  return pathA.length <= 1 || pathB.length <= 1 || pathA.join('/') === pathB.join('/');
+}
+
+/**
+ * Merge newly reported employee info into the stored entry, recording a
+ * transfer when the department changed
+ * @param {Object|undefined} existing - Stored employeeInfo entry
+ * @param {Object} incoming - { name, department, departmentPath, ... } as reported now
+ * @param {string} [effectiveDate] - Day the reported department applies from (YYYY-MM-DD, default today)
+ * @returns {Object} New employeeInfo entry
+ */
+function applyDepartment(existing, incoming, effectiveDate = getToday()) {
+  const reported = {
+    department: incoming.department,
+    departmentPath: incoming.departmentPath || [incoming.department],
+  };
+
+  if (!existing) {
+    return { ...incoming, ...reported, departmentHistory: [{ ...reported, from: null }] };
+  }
+
+  const history = getDepartmentHistory(existing).slice();
+
+  // A failed user lookup says nothing about the department
+  if (!incoming.department || incoming.department === UNKNOWN_DEPARTMENT) {
+    return {
+      ...incoming,
+      department: existing.department,
+      departmentPath: existing.departmentPath,
+      departmentHistory: history,
+    };
+  }
+
+  const latest = history[history.length - 1];
+  if (isSameDepartment(latest, reported)) {
+    // Keep the longer chain (older entries may only hold the name)
+    if (reported.departmentPath.length >= (latest.departmentPath || []).length) {
+      history[history.length - 1] = { ...latest, ...reported };
+    }
+  } else if (latest.from === effectiveDate) {
+    // Changed again on the same day: the later assignment replaces it
+    history[history.length - 1] = { ...reported, from: effectiveDate };
+  } else {
+    history.push({ ...reported, from: effectiveDate });
+  }
+
+  const current = history[history.length - 1];
+  return {
+    ...incoming,
+    department: current.department,
+    departmentPath: current.departmentPath,
+    departmentHistory: history,
+  };
+}
+
+/**
+ * Assignment in effect on a day
+ * Days before the first recorded assignment belong to the first one.
+ * @param {Object} info - employeeInfo entry
+ * @param {number} day - Day number (20260203)
+ * @returns {Object|null} { department, departmentPath, from }
+ */
+function getDepartmentAt(info, day) {
+  const history = getDepartmentHistory(info);
+  let effective = history[0] || null;
+  history.forEach(assignment => {
+    if (toDayNumber(assignment.from) <= day) {
+      effective = assignment;
+    }
+  });
+  return effective;
+}
+
+/**
+ * Assignments in effect at any point of a day range
+ * @param {Object} info - employeeInfo entry
+ * @param {number} start - First day number (inclusive, -Infinity for open)
+ * @param {number} end - Last day number (inclusive, Infinity for open)
+ * @returns {Array<Object>} [{ department, departmentPath, from }]
+ */
+function getDepartmentsInRange(info, start, end) {
+  const history = getDepartmentHistory(info);
+  return history.filter((assignment, index) => {
+    const next = history[index + 1];
+    const startsBeforeEnd = index === 0 || toDayNumber(assignment.from) <= end;
+    const endsAfterStart = !next || toDayNumber(next.from) > start;
+    return startsBeforeEnd && endsAfterStart;
+  });
+}
+
+module.exports = {
+  getDepartmentHistory,
+  applyDepartment,
+  getDepartmentAt,
+  getDepartmentsInRange,
+};
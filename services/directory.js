@@ -0,0 +1,253 @@
+/**
+ * Directory - Scheduled organization directory sync
+ *
+ * Employees used to appear in employeeInfo only after filing leave, so the
+ * board was not a full roster and department filters missed whole teams.
+ * The directory keeps the WeChat Work department tree and every active member
+ * (name, main department and its parent chain, position), refreshed on a
+ * schedule, so the board can show everyone in the selected departments.
+ *
+ * A complete sync also refreshes the employment status (active / disabled /
+ * departed) of everyone on the board, so former employees can be hidden
+ * while their leave history is kept, and records department transfers
+ * (effective the day they are seen) in their department history.
+ */
+
+const cron = require('node-cron');
+const storage = require('./storage');
+const wecomService = require('./wecom-service');
+const syncRuns = require('./sync-runs');
+const syncLock = require('./sync-lock');
+const departmentHistory = require('./department-history');
+const { loadLeaveData, saveLeaveData } = require('./sync-scheduler');
+
+const DIRECTORY_SYNC_ENABLED = process.env.DIRECTORY_SYNC_ENABLED !== 'false';
+const DIRECTORY_SYNC_INTERVAL = process.env.DIRECTORY_SYNC_INTERVAL || '0 3 * * *'; // Every night at 03:00
+
+// user/list status: 1 = 已激活, 2 = 已禁用, 4 = 未激活, 5 = 退出企业
+const ACTIVE_MEMBER_STATUSES = [1, 4];
+
+let directoryJob = null;
+let syncing = null; // Promise of the sync in progress
+
+/**
+ * Load the directory from storage
+ * @returns {Object} { departments: { id → dept }, members: { userid → member }, syncedAt }
+ */
+function loadDirectory() {
+  try {
+    return storage.readDocument('directory') || { departments: {}, members: {}, syncedAt: null };
+  } catch (error) {
+    console.error('Failed to load directory:', error.message);
+    return { departments: {}, members: {}, syncedAt: null };
+  }
+}
+
+/**
+ * Check if a directory sync is running
+ */
+function isSyncing() {
+  return !!syncing;
+}
+
+/**
+ * Sync the directory from WeChat Work (concurrent calls share one run)
+ * @param {string} [actor] - Who started it (null for the scheduler)
+ * @returns {Promise<Object>} { departments, members } counts
+ */
+function syncDirectory(actor) {
+  if (!syncing) {
+    syncing = runDirectorySync(actor).finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+async function runDirectorySync(actor) {
+  const run = syncRuns.startRun('directory', { actor });
+  console.log('\n👥 Starting directory sync...');
+
+  try {
+    const accessToken = await wecomService.getAccessToken();
+    const deptList = await wecomService.fetchDepartmentList(accessToken);
+
+    const departments = {};
+    deptList.forEach(dept => {
+      departments[dept.id] = dept;
+    });
+
+    // Members are listed per department; people in several departments
+    // appear once, under their main department
+    const members = {};
+    const listedStatuses = {}; // userid → user/list status, including disabled accounts
+    const errors = [];
+    for (const dept of deptList) {
+      try {
+        const userlist = await wecomService.fetchDepartmentMembers(accessToken, dept.id);
+        userlist.forEach(user => {
+          listedStatuses[user.userid] = user.status;
+        });
+        userlist
+          .filter(user => ACTIVE_MEMBER_STATUSES.includes(user.status))
+          .forEach(user => {
+            if (members[user.userid]) {
+              return;
+            }
+            const mainDeptId = user.main_department || (user.department && user.department[0]) || dept.id;
+            const departmentPath = getDepartmentPath(departments, departments[mainDeptId] ? mainDeptId : dept.id);
+            members[user.userid] = {
+              userid: user.userid,
+              name: user.name || user.userid,
+              department: departmentPath[departmentPath.length - 1],
+              departmentPath,
+              departmentIds: user.department || [dept.id],
+              position: user.position || '',
+            };
+          });
+      } catch (error) {
+        console.error(`   ❌ ${error.message}`);
+        errors.push({ spNo: null, error: `${dept.name}: ${error.message}` });
+      }
+    }
+
+    if (errors.length > 0 && Object.keys(members).length === 0) {
+      throw new Error('所有部门的成员列表均拉取失败');
+    }
+
+    // After a partial failure, members of the failed departments keep their
+    // previous entries instead of dropping off the roster
+    storage.writeDocument('directory', {
+      departments,
+      members: errors.length > 0 ? { ...loadDirectory().members, ...members } : members,
+      syncedAt: new Date().toISOString(),
+    });
+
+    // Someone missing from a partial listing may just be in a failed department
+    if (errors.length === 0) {
+      await updateEmployeeInfo(accessToken, listedStatuses, members);
+    }
+
+    const counts = { departments: deptList.length, members: Object.keys(members).length };
+    console.log(`✅ Directory synced: ${counts.departments} departments, ${counts.members} members`);
+    syncRuns.finishRun(run, { syncedCount: counts.members, errors });
+    return counts;
+  } catch (error) {
+    console.error('❌ Directory sync failed:', error.message);
+    syncRuns.finishRun(run, { error });
+    throw error;
+  }
+}
+
+/**
+ * Refresh the employment status and department of everyone on the board
+ * Employees missing from the listing are checked individually: user/get tells
+ * whether they left or merely sit outside the app's visible range.
+ * @param {Object} listedStatuses - userid → user/list status
+ * @param {Object} members - userid → active member (current department)
+ * @returns {Promise<number>} Number of employees whose info changed
+ */
+async function updateEmployeeInfo(accessToken, listedStatuses, members) {
+  const statuses = {};
+  const known = Object.keys(loadLeaveData().employeeInfo || {});
+
+  for (const userid of known) {
+    if (userid in listedStatuses) {
+      statuses[userid] = wecomService.getEmploymentStatus(listedStatuses[userid]);
+      continue;
+    }
+    const userInfo = await wecomService.getUserInfo(accessToken, userid, { skipCache: true });
+    if (userInfo) {
+      statuses[userid] = wecomService.getEmploymentStatus(userInfo.status);
+    }
+  }
+
+  return syncLock.withLock(() => {
+    const data = loadLeaveData();
+    let changed = 0;
+
+    Object.keys(data.employeeInfo).forEach(userid => {
+      const info = data.employeeInfo[userid];
+      const member = members[userid];
+      let updated = statuses[userid] ? { ...info, employmentStatus: statuses[userid] } : info;
+      if (member) {
+        updated = departmentHistory.applyDepartment(updated, {
+          ...updated,
+          department: member.department,
+          departmentPath: member.departmentPath,
+        });
+      }
+
+      if (JSON.stringify(updated) !== JSON.stringify(info)) {
+        data.employeeInfo[userid] = updated;
+        changed++;
+      }
+    });
+
+    if (changed > 0) {
+      saveLeaveData(data, { source: 'directory' });
+      console.log(`   👤 Employee info updated for ${changed} employee(s)`);
+    }
+    return changed;
+  });
+}
+
+/**
+ * Department names from the root down to a department
+ * @param {Object} departments - id → { name, parentid }
+ * @returns {Array<string>} e.g. ["公司", "研发部", "后端组"]
+ */
+function getDepartmentPath(departments, deptId) {
+  const path = [];
+  let current = departments[deptId];
+  while (current && path.length < 32) { // Bounded in case of a parent cycle
+    path.unshift(current.name);
+    current = departments[current.parentid];
+  }
+  return path;
+}
+
+/**
+ * Start the directory sync scheduler (syncs once right away if never synced)
+ */
+function startDirectoryScheduler() {
+  if (!DIRECTORY_SYNC_ENABLED) {
+    console.log('ℹ️  Directory sync is disabled (set DIRECTORY_SYNC_ENABLED=true to enable)');
+    return;
+  }
+
+  if (directoryJob) {
+    console.log('⚠️  Directory scheduler already running');
+    return;
+  }
+
+  console.log(`\n👥 Starting directory scheduler...`);
+  console.log(`   ⏰ Interval: ${DIRECTORY_SYNC_INTERVAL}`);
+
+  directoryJob = cron.schedule(DIRECTORY_SYNC_INTERVAL, () => {
+    syncDirectory(null).catch(() => {}); // Logged and recorded by runDirectorySync
+  });
+
+  if (!loadDirectory().syncedAt) {
+    syncDirectory(null).catch(() => {});
+  }
+}
+
+/**
+ * Stop the directory sync scheduler
+ */
+function stopDirectoryScheduler() {
+  if (directoryJob) {
+    directoryJob.stop();
+    directoryJob = null;
+    console.log('🛑 Directory scheduler stopped');
+  }
+}
+
+module.exports = {
+  loadDirectory,
+  syncDirectory,
+  isSyncing,
+  startDirectoryScheduler,
+  stopDirectoryScheduler,
+};
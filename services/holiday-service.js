@@ -12,10 +12,10 @@
  */
 
 const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const storage = require('./storage');
 
 // Load environment variables from .env.local
 require('dotenv').config({ path: path.join(__dirname, '..', '.env.local') });
@@ -32,9 +32,6 @@ if (!APPCODE) {
 // Cache for holiday data by year
 const holidayCache = new Map();
 
-// Persistent cache file path
-const CACHE_FILE = path.join(__dirname, 'holiday-cache.json');
-
 /**
  * Get today's date string for cache key
  * Format: YYYY-MM-DD
@@ -56,14 +53,12 @@ function isCacheValidForToday(cachedDate) {
 }
 
 /**
- * Load cache from disk
+ * Load cache from storage
  */
 function loadCacheFromDisk() {
   try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const fileContent = fs.readFileSync(CACHE_FILE, 'utf8');
-      const cacheData = JSON.parse(fileContent);
-
+    const cacheData = storage.readDocument('holiday_cache');
+    if (cacheData) {
       // Restore cache entries
       Object.entries(cacheData).forEach(([key, value]) => {
         holidayCache.set(key, value);
@@ -77,7 +72,7 @@ function loadCacheFromDisk() {
 }
 
 /**
- * Save cache to disk
+ * Save cache to storage
  */
 function saveCacheToDisk() {
   try {
@@ -86,7 +81,7 @@ function saveCacheToDisk() {
       cacheData[key] = value;
     });
 
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2), 'utf8');
+    storage.writeDocument('holiday_cache', cacheData);
     console.log(`💾 Saved holiday cache to disk`);
   } catch (error) {
     console.error('❌ Failed to save cache to disk:', error.message);
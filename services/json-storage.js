@@ -0,0 +1,231 @@
+/**
+ * JSON File Storage Backend
+ *
+ * Stores each document as a pretty-printed JSON file (the original on-disk format).
+ *
+ * Crash safety:
+ * - Writes go to a temp file which is fsynced and then renamed over the target,
+ *   so a crash mid-write never leaves a truncated document behind
+ * - A `<file>.sha256` sidecar holds the checksum of the current content
+ * - The last N versions of every document are kept as self-verifying
+ *   generations in the backup directory (`<name>.1.json` is the newest)
+ * - On load, a document that fails to parse or does not match its checksum
+ *   is replaced by the newest good generation (with a loud warning) instead
+ *   of being treated as empty
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonStorage {
+  /**
+   * @param {string} rootDir - Directory document paths are relative to
+   * @param {Object} documents - Document name → relative file path
+   * @param {Object} [options]
+   * @param {string} [options.backupDir] - Directory for rolling generations
+   * @param {number} [options.generations] - Number of generations to keep (0 disables)
+   */
+  constructor(rootDir, documents, options = {}) {
+    this.rootDir = rootDir;
+    this.documents = documents;
+    this.backupDir = options.backupDir || path.join(rootDir, 'backups');
+    this.generations = options.generations !== undefined ? options.generations : 5;
+  }
+
+  describe() {
+    return `json (${this.rootDir}, ${this.generations} generations in ${this.backupDir})`;
+  }
+
+  /**
+   * Absolute file path for a document
+   */
+  filePath(name) {
+    return path.join(this.rootDir, this.documents[name]);
+  }
+
+  /**
+   * Absolute file path for a generation (1 = newest)
+   */
+  generationPath(name, index) {
+    return path.join(this.backupDir, `${name}.${index}.json`);
+  }
+
+  /**
+   * Read a document
+   * Falls back to the newest good generation if the file is corrupt or missing.
+   * @returns {*} Parsed document, or null if neither the file nor any generation exists
+   * @throws {Error} If the document is corrupt and no good generation is available
+   */
+  read(name) {
+    const file = this.filePath(name);
+    let problem = null;
+
+    if (fs.existsSync(file)) {
+      const content = fs.readFileSync(file, 'utf8');
+      problem = this.verify(file, content);
+      if (!problem) {
+        return JSON.parse(content);
+      }
+    } else if (!fs.existsSync(this.generationPath(name, 1))) {
+      return null; // Document was never written
+    } else {
+      problem = 'file is missing';
+    }
+
+    return this.recover(name, problem);
+  }
+
+  /**
+   * Check content against the format and the checksum sidecar
+   * @returns {string|null} Problem description, or null if the content is good
+   */
+  verify(file, content) {
+    try {
+      JSON.parse(content);
+    } catch (error) {
+      return `invalid JSON (${error.message})`;
+    }
+
+    const checksumFile = `${file}.sha256`;
+    if (fs.existsSync(checksumFile)) {
+      const expected = fs.readFileSync(checksumFile, 'utf8').trim();
+      if (expected !== sha256(content)) {
+        return 'checksum mismatch';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Restore a document from the newest good generation
+   * The corrupt file is kept next to the original for inspection.
+   */
+  recover(name, problem) {
+    const file = this.filePath(name);
+
+    console.error(`🚨🚨🚨 STORAGE: ${this.documents[name]} is unusable (${problem}), attempting recovery from backups`);
+
+    for (let index = 1; index <= this.generations; index++) {
+      const generation = this.readGeneration(name, index);
+      if (!generation) {
+        continue;
+      }
+
+      if (fs.existsSync(file)) {
+        const corruptFile = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, corruptFile);
+        console.error(`🚨 STORAGE: corrupt file moved to ${corruptFile}`);
+      }
+
+      writeFileAtomic(`${file}.sha256`, generation.checksum);
+      writeFileAtomic(file, generation.content);
+
+      console.error(`🚨 STORAGE: restored ${this.documents[name]} from generation ${index} (saved at ${generation.savedAt}). Changes after that point are lost — please verify the data.`);
+      return JSON.parse(generation.content);
+    }
+
+    throw new Error(`${this.documents[name]} is unusable (${problem}) and no good backup generation exists`);
+  }
+
+  /**
+   * Read and verify a single generation
+   * @returns {Object|null} { content, checksum, savedAt } or null if missing/corrupt
+   */
+  readGeneration(name, index) {
+    const generationFile = this.generationPath(name, index);
+    if (!fs.existsSync(generationFile)) {
+      return null;
+    }
+
+    try {
+      const generation = JSON.parse(fs.readFileSync(generationFile, 'utf8'));
+      if (typeof generation.content !== 'string' || sha256(generation.content) !== generation.checksum) {
+        console.error(`🚨 STORAGE: generation ${index} of ${name} fails checksum, skipping`);
+        return null;
+      }
+      JSON.parse(generation.content);
+      return generation;
+    } catch (error) {
+      console.error(`🚨 STORAGE: generation ${index} of ${name} is unreadable (${error.message}), skipping`);
+      return null;
+    }
+  }
+
+  /**
+   * Write (replace) a document
+   * Order matters for recovery: generation → checksum → file. A crash at any
+   * point leaves either the old document intact or a generation holding the new one.
+   */
+  write(name, data) {
+    const file = this.filePath(name);
+    const content = JSON.stringify(data, null, 2);
+    const checksum = sha256(content);
+
+    if (this.generations > 0) {
+      this.rotateGenerations(name);
+      writeFileAtomic(this.generationPath(name, 1), JSON.stringify({
+        document: this.documents[name],
+        savedAt: new Date().toISOString(),
+        checksum,
+        content,
+      }));
+    }
+
+    writeFileAtomic(`${file}.sha256`, checksum);
+    writeFileAtomic(file, content);
+  }
+
+  /**
+   * Shift generations down by one (N-1 → N, ..., 1 → 2), dropping the oldest
+   */
+  rotateGenerations(name) {
+    fs.mkdirSync(this.backupDir, { recursive: true });
+
+    for (let index = this.generations - 1; index >= 1; index--) {
+      const from = this.generationPath(name, index);
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, this.generationPath(name, index + 1));
+      }
+    }
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write a file atomically: temp file → fsync → rename over target → fsync directory
+ */
+function writeFileAtomic(file, content) {
+  const tmpFile = `${file}.tmp-${process.pid}`;
+
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, content, null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tmpFile, file);
+
+  // Persist the rename itself (not supported on every platform)
+  try {
+    const dirFd = fs.openSync(path.dirname(file), 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch (error) {
+    // Ignore: directory fsync is best-effort
+  }
+}
+
+module.exports = {
+  JsonStorage,
+  writeFileAtomic,
+};
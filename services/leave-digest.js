@@ -0,0 +1,299 @@
+/**
+ * Leave Digest - "Who is out" summary for WeChat Work group robots
+ *
+ * Composes today's and the next working day's absences per department (full
+ * day vs 上午/下午, approved vs pending; trips and outings count as absent)
+ * and posts them as markdown to group-robot webhooks. 休 days from the
+ * holiday calendar are skipped: nothing is sent on a day off, and "tomorrow"
+ * is the next working day.
+ *
+ * Webhooks are configured in digest-webhooks.json (DIGEST_WEBHOOKS_FILE), e.g.
+ *   { "webhooks": [
+ *       { "url": "https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...", "departments": ["研发部"] },
+ *       { "url": "https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=..." }
+ *   ] }
+ * A webhook receives employees whose department chain (on that day) contains
+ * one of its departments, or everyone without `departments`. Without the
+ * file, DIGEST_WEBHOOK_URL (comma-separated) receives everyone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const storage = require('./storage');
+const holidayService = require('./holiday-service');
+const availabilityStore = require('./availability-store');
+const departmentHistory = require('./department-history');
+const { dateKeyToDayNumber } = require('./leave-records');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const WEBHOOKS_FILE = path.resolve(ROOT_DIR, process.env.DIGEST_WEBHOOKS_FILE || 'digest-webhooks.json');
+
+// How far ahead to look for the next working day (covers the longest holidays)
+const MAX_LOOKAHEAD_DAYS = 14;
+
+// Group robot markdown messages are limited to 4096 bytes
+const MAX_MARKDOWN_BYTES = 4096;
+
+const VISIBLE_STATUSES = ['已通过', '审批中'];
+const WEEKDAYS = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+const HALVES = ['上午', '下午'];
+
+/**
+ * Load and validate the webhook routes (invalid entries are logged and skipped)
+ * @returns {Array<Object>} Routes { url, departments } (departments null = everyone)
+ */
+function loadWebhooks() {
+  let entries;
+
+  if (fs.existsSync(WEBHOOKS_FILE)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+      entries = Array.isArray(config) ? config : config.webhooks;
+      if (!Array.isArray(entries)) {
+        throw new Error('expected a "webhooks" array');
+      }
+    } catch (error) {
+      console.error(`❌ Invalid digest webhook config ${WEBHOOKS_FILE}: ${error.message}`);
+      entries = [];
+    }
+  } else {
+    entries = (process.env.DIGEST_WEBHOOK_URL || '').split(',')
+      .map(url => url.trim())
+      .filter(Boolean)
+      .map(url => ({ url }));
+  }
+
+  return entries
+    .filter(entry => {
+      if (!entry || typeof entry.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+        console.warn('⚠️  Digest webhook entry needs an http(s) url, skipped:', entry);
+        return false;
+      }
+      return true;
+    })
+    .map(entry => ({
+      url: entry.url,
+      departments: Array.isArray(entry.departments) && entry.departments.length > 0 ? entry.departments : null,
+    }));
+}
+
+/**
+ * Today's and the next working day's calendar entries
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Promise<Object>} { today, next } date config entries ({ date, fullDate, type, ... })
+ */
+async function getDigestDays(now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = new Date(start);
+  end.setDate(end.getDate() + MAX_LOOKAHEAD_DAYS);
+
+  const dateConfig = await holidayService.generateDateConfig(start, end);
+  return {
+    today: dateConfig[0],
+    next: dateConfig.slice(1).find(day => day.type !== '休') || null,
+  };
+}
+
+/**
+ * Absences of one day, one entry per employee
+ * @param {Object} data - Leave data document
+ * @param {Object} availability - Availability view leaveData (userid → dateKey → { kind, status })
+ * @param {string} date - Date key of the day ("2026-3.2")
+ * @returns {Array<Object>} [{ userid, name, department, departmentPath, slots: [{ half, label, pending }] }]
+ */
+function collectAbsences(data, availability, date) {
+  const day = dateKeyToDayNumber(date);
+  const userids = new Set([...Object.keys(data.leaveData || {}), ...Object.keys(availability)]);
+  const absences = [];
+
+  userids.forEach(userid => {
+    const cells = (data.leaveData || {})[userid] || {};
+    const types = (data.leaveTypes || {})[userid] || {};
+    const away = availability[userid] || {};
+
+    // Leave wins over a trip/outing in the same slot, as on the board
+    const slotAt = dateKey => {
+      if (VISIBLE_STATUSES.includes(cells[dateKey])) {
+        return { label: types[dateKey] || '请假', pending: cells[dateKey] === '审批中' };
+      }
+      const cell = away[dateKey];
+      if (cell && VISIBLE_STATUSES.includes(cell.status)) {
+        return { label: availabilityStore.AVAILABILITY_KINDS[cell.kind] || cell.kind, pending: cell.status === '审批中' };
+      }
+      return null;
+    };
+
+    const fullDay = slotAt(date);
+    const halves = HALVES.map(half => slotAt(`${date} (${half})`));
+    let slots;
+    if (fullDay) {
+      slots = [{ half: null, ...fullDay }];
+    } else if (halves[0] && halves[1] && halves[0].label === halves[1].label && halves[0].pending === halves[1].pending) {
+      slots = [{ half: null, ...halves[0] }];
+    } else {
+      slots = halves.map((slot, i) => slot && { half: HALVES[i], ...slot }).filter(Boolean);
+    }
+    if (slots.length === 0) {
+      return;
+    }
+
+    const info = (data.employeeInfo || {})[userid] || { name: userid, department: '未知' };
+    const assignment = departmentHistory.getDepartmentAt(info, day) || {};
+    absences.push({
+      userid,
+      name: info.name || userid,
+      department: assignment.department || info.department || '未知',
+      departmentPath: assignment.departmentPath || [assignment.department || info.department || '未知'],
+      slots,
+    });
+  });
+
+  return absences;
+}
+
+/**
+ * Markdown section for one day, grouped by department
+ * @param {string} title - e.g. "今天"
+ * @param {Object} day - Date config entry
+ * @param {Array<Object>} absences - From collectAbsences()
+ */
+function formatDaySection(title, day, absences) {
+  const [year, month, date] = day.fullDate.split('-').map(part => parseInt(part, 10));
+  const weekday = WEEKDAYS[new Date(year, month - 1, date).getDay()];
+  const lines = [`### ${title} ${month}月${date}日 ${weekday}（${absences.length} 人不在岗）`];
+
+  if (absences.length === 0) {
+    lines.push('> 全员在岗');
+    return lines.join('\n');
+  }
+
+  const byDepartment = new Map();
+  absences.forEach(absence => {
+    const key = absence.departmentPath.join(' / ');
+    if (!byDepartment.has(key)) {
+      byDepartment.set(key, []);
+    }
+    byDepartment.get(key).push(absence);
+  });
+
+  Array.from(byDepartment.keys()).sort((a, b) => a.localeCompare(b)).forEach(key => {
+    lines.push(`**${key}**`);
+    byDepartment.get(key)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(absence => {
+        const slots = absence.slots.map(slot => {
+          const pending = slot.pending ? ' <font color="warning">审批中</font>' : '';
+          return `${slot.half || '全天'} ${slot.label}${pending}`;
+        });
+        lines.push(`> ${absence.name}：${slots.join('，')}`);
+      });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Cut a markdown message to the group robot size limit (whole lines only)
+ */
+function truncateMarkdown(content) {
+  if (Buffer.byteLength(content, 'utf8') <= MAX_MARKDOWN_BYTES) {
+    return content;
+  }
+
+  const suffix = '\n> ……内容过长，请打开看板查看';
+  const lines = content.split('\n');
+  while (lines.length > 1 && Buffer.byteLength(lines.join('\n') + suffix, 'utf8') > MAX_MARKDOWN_BYTES) {
+    lines.pop();
+  }
+  return lines.join('\n') + suffix;
+}
+
+/**
+ * Compose the digest message of every configured webhook
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Promise<Object>} { skipped, reason?, messages: [{ url, departments, content, count }] }
+ */
+async function composeDigest(now = new Date()) {
+  const { today, next } = await getDigestDays(now);
+  if (today.type === '休') {
+    return { skipped: true, reason: `${today.fullDate} 为休息日`, messages: [] };
+  }
+
+  const data = storage.readDocument('leave_data') || { leaveData: {}, leaveTypes: {}, employeeInfo: {} };
+  const availability = availabilityStore.buildAvailabilityView().leaveData;
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const nextTitle = next && next.fullDate === holidayService.formatDate(tomorrow) ? '明天' : '下个工作日';
+
+  const days = [{ title: '今天', day: today, absences: collectAbsences(data, availability, today.date) }];
+  if (next) {
+    days.push({ title: nextTitle, day: next, absences: collectAbsences(data, availability, next.date) });
+  }
+
+  const messages = loadWebhooks().map(webhook => {
+    const matches = absence => !webhook.departments ||
+      webhook.departments.some(department => absence.departmentPath.includes(department));
+    const sections = days.map(({ title, day, absences }) => formatDaySection(title, day, absences.filter(matches)));
+    return {
+      url: webhook.url,
+      departments: webhook.departments,
+      content: truncateMarkdown(sections.join('\n\n')),
+      count: days.reduce((sum, { absences }) => sum + absences.filter(matches).length, 0),
+    };
+  });
+
+  return { skipped: false, messages };
+}
+
+/**
+ * Post a markdown message to a group robot webhook
+ * @throws {Error} If the request fails or the robot returns an errcode
+ */
+async function postToWebhook(url, content) {
+  const response = await axios.post(url, { msgtype: 'markdown', markdown: { content } }, { timeout: 15000 });
+  if (response.data && response.data.errcode) {
+    throw new Error(`${response.data.errcode} ${response.data.errmsg || ''}`.trim());
+  }
+}
+
+/**
+ * Compose and send the digest to every configured webhook
+ * A failing webhook does not stop the others.
+ * @param {Object} [options] - { dryRun, now }
+ * @returns {Promise<Object>} { skipped, reason?, sent, failed, messages }
+ */
+async function sendDigest(options = {}) {
+  const digest = await composeDigest(options.now || new Date());
+  if (digest.skipped) {
+    console.log(`ℹ️  Leave digest skipped: ${digest.reason}`);
+    return { ...digest, sent: 0, failed: 0 };
+  }
+  if (digest.messages.length === 0) {
+    console.warn('⚠️  Leave digest has no webhooks configured (DIGEST_WEBHOOK_URL or digest-webhooks.json)');
+  }
+  if (options.dryRun) {
+    return { ...digest, sent: 0, failed: 0 };
+  }
+
+  let sent = 0;
+  let failed = 0;
+  for (const message of digest.messages) {
+    try {
+      await postToWebhook(message.url, message.content);
+      sent++;
+    } catch (error) {
+      failed++;
+      message.error = error.message;
+      console.error(`❌ Leave digest webhook failed (${message.departments ? message.departments.join(', ') : '全部'}): ${error.message}`);
+    }
+  }
+
+  console.log(`📨 Leave digest sent to ${sent} webhook(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+  return { ...digest, sent, failed };
+}
+
+module.exports = {
+  composeDigest,
+  sendDigest,
+  collectAbsences,
+};
@@ -0,0 +1,130 @@
+/**
+ * Leave History
+ *
+ * Per-cell change log for the board: every time a cell's status changes,
+ * an entry (old status, new status, source, sp_no, actor, time) is appended.
+ * Answers "why did my leave disappear from the board?" without digging
+ * through console logs.
+ */
+
+const storage = require('./storage');
+const { diffCells } = require('./leave-records');
+
+// Keep at most this many entries per cell (oldest dropped first)
+const MAX_ENTRIES_PER_CELL = 50;
+
+/**
+ * Load history from storage
+ * @returns {Object} { cells: { [userid]: { [dateKey]: Array<entry> } } }
+ */
+function loadHistory() {
+  let history;
+  try {
+    history = storage.readDocument('leave_history');
+  } catch (error) {
+    console.error('❌ Failed to load leave history:', error.message);
+    throw new Error('Failed to load leave history');
+  }
+
+  return history || { cells: {} };
+}
+
+/**
+ * Save history to storage
+ */
+function saveHistory(history) {
+  try {
+    storage.writeDocument('leave_history', history);
+  } catch (error) {
+    console.error('Failed to save leave history:', error.message);
+  }
+}
+
+/**
+ * Build a (userid, dateKey) → sp_no lookup from approvals
+ * Accepts both transformed approvals (spNo/dateKeys) and store records (sp_no/leave_dates/removed_dates).
+ */
+function buildSpNoLookup(approvals) {
+  const lookup = {};
+  (approvals || []).forEach(approval => {
+    if (!approval) return;
+    const spNo = approval.spNo || approval.sp_no;
+    // Dates a revised approval no longer covers are attributed to it as well
+    const dateKeys = [...(approval.dateKeys || approval.leave_dates || []), ...(approval.removed_dates || [])];
+    dateKeys.forEach(dateKey => {
+      lookup[`${approval.userid}|${dateKey}`] = spNo;
+    });
+  });
+  return lookup;
+}
+
+/**
+ * Record every cell whose status differs between two leave data documents
+ * @param {Object|null} before - Previously stored document
+ * @param {Object} after - Document being saved
+ * @param {Object} [context]
+ * @param {string} [context.source] - Mutation path (incremental_sync, status_check, callback, manual_edit...)
+ * @param {string} [context.actor] - Who caused the change (user name/userid, or "system")
+ * @param {string} [context.spNo] - Approval number, when the change comes from a single approval
+ * @param {Array<Object>} [context.approvals] - Approvals used to look up sp_no per cell
+ * @returns {number} Number of entries recorded
+ */
+function recordChanges(before, after, context = {}) {
+  const spNoLookup = buildSpNoLookup(context.approvals);
+  const time = new Date().toISOString();
+
+  const changes = diffCells(before, after).map(({ userid, dateKey, oldStatus, newStatus }) => ({
+    userid,
+    dateKey,
+    entry: {
+      time,
+      oldStatus,
+      newStatus,
+      source: context.source || 'unknown',
+      spNo: context.spNo || spNoLookup[`${userid}|${dateKey}`] || null,
+      actor: context.actor || 'system',
+    },
+  }));
+
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const history = loadHistory();
+  changes.forEach(({ userid, dateKey, entry }) => {
+    if (!history.cells[userid]) {
+      history.cells[userid] = {};
+    }
+    const entries = history.cells[userid][dateKey] || [];
+    entries.push(entry);
+    history.cells[userid][dateKey] = entries.slice(-MAX_ENTRIES_PER_CELL);
+  });
+  saveHistory(history);
+
+  return changes.length;
+}
+
+/**
+ * Get change history for an employee
+ * @param {string} userid - User ID
+ * @param {string} [date] - Date key without slot (e.g. "2026-2.3"); includes half-day slots
+ * @returns {Array<Object>} Entries with dateKey, newest first
+ */
+function getHistory(userid, date) {
+  const history = loadHistory();
+  const cells = history.cells[userid] || {};
+
+  const entries = [];
+  Object.keys(cells)
+    .filter(dateKey => !date || dateKey === date || dateKey.startsWith(`${date} (`))
+    .forEach(dateKey => {
+      cells[dateKey].forEach(entry => entries.push({ dateKey, ...entry }));
+    });
+
+  return entries.sort((a, b) => b.time.localeCompare(a.time));
+}
+
+module.exports = {
+  recordChanges,
+  getHistory,
+};
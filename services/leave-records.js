@@ -0,0 +1,457 @@
+/**
+ * Leave Records - Validated edits of the leave data document
+ *
+ * The browser never overwrites the whole document. Instead:
+ * - Edits are per employee and date (set or clear one cell)
+ * - Date keys, statuses and imported documents are validated before saving
+ * - Optimistic concurrency: the document's `updatedAt` is its version (exposed
+ *   as an ETag), and an edit based on an older version is rejected. It only
+ *   moves when the content does, so syncs that change nothing keep it
+ * - Whole-document imports (admin only) are previewed as a diff first
+ * - Reads can be restricted to a date range / department / employee
+ */
+
+const util = require('util');
+const wecomService = require('./wecom-service');
+const departmentHistory = require('./department-history');
+
+// Every status an approval can have (see getStatusText)
+const VALID_STATUSES = [1, 2, 3, 4, 6, 7, 10].map(code => wecomService.getStatusText(code));
+
+// "2026-2.3", "2026-2.3 (上午)", "2026-2.3 (下午)"
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{1,2})\.(\d{1,2})(?: \((上午|下午)\))?$/;
+
+const MAX_LEAVE_TYPE_LENGTH = 50;
+
+// Leave types are custom per company (年假, 陪产假, 调休(小时)...), so names are
+// limited to letters, digits, spaces and a few separators: no markup or quotes
+const LEAVE_TYPE_PATTERN = /^[\p{L}\p{N} ()（）·\-_/]+$/u;
+
+class LeaveRecordValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LeaveRecordValidationError';
+    this.code = code;
+  }
+}
+
+class VersionConflictError extends Error {
+  constructor(message, currentVersion) {
+    super(message);
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.currentVersion = currentVersion;
+  }
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check that a date key is well-formed and names a real calendar day
+ * @param {string} dateKey - e.g. "2026-2.3" or "2026-2.3 (上午)"
+ * @returns {boolean}
+ */
+function isValidDateKey(dateKey) {
+  if (typeof dateKey !== 'string') {
+    return false;
+  }
+
+  const match = DATE_KEY_PATTERN.exec(dateKey);
+  if (!match) {
+    return false;
+  }
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Validate a single cell edit
+ * @param {Object} edit - { date, status, leaveType }
+ * @param {boolean} [requireStatus=true] - False for clearing a cell
+ * @throws {LeaveRecordValidationError}
+ */
+function validateCellEdit(edit, requireStatus = true) {
+  if (!isValidDateKey(edit.date)) {
+    throw new LeaveRecordValidationError(
+      `日期格式无效: ${edit.date}（应为 YYYY-M.D，可带 (上午)/(下午)）`,
+      'INVALID_DATE_KEY'
+    );
+  }
+
+  if (requireStatus && !VALID_STATUSES.includes(edit.status)) {
+    throw new LeaveRecordValidationError(
+      `状态无效: ${edit.status}（可选: ${VALID_STATUSES.join('、')}）`,
+      'INVALID_STATUS'
+    );
+  }
+
+  if (edit.leaveType !== undefined && edit.leaveType !== null && !isValidLeaveType(edit.leaveType)) {
+    throw new LeaveRecordValidationError(
+      `假期类型无效: ${edit.leaveType}（最多 ${MAX_LEAVE_TYPE_LENGTH} 个字符，仅限文字、数字、空格与 ()·-_/）`,
+      'INVALID_LEAVE_TYPE'
+    );
+  }
+}
+
+/**
+ * Check that a leave type name is safe to store and show
+ * @param {string} leaveType - e.g. "年假"
+ * @returns {boolean}
+ */
+function isValidLeaveType(leaveType) {
+  return typeof leaveType === 'string' &&
+    leaveType.length > 0 &&
+    leaveType.length <= MAX_LEAVE_TYPE_LENGTH &&
+    LEAVE_TYPE_PATTERN.test(leaveType);
+}
+
+/**
+ * Validate a whole leave data document (admin import)
+ * @param {Object} data - { leaveData, leaveTypes, employeeInfo }
+ * @throws {LeaveRecordValidationError} Listing the first problems found
+ */
+function validateLeaveDocument(data) {
+  const problems = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(data) || !isObject(data.leaveData)) {
+    throw new LeaveRecordValidationError('导入数据缺少 leaveData 对象', 'INVALID_DOCUMENT');
+  }
+
+  ['leaveTypes', 'cellApprovals', 'employeeInfo'].forEach(field => {
+    if (data[field] !== undefined && !isObject(data[field])) {
+      problems.push(`${field} 必须是对象`);
+    }
+  });
+
+  Object.entries(data.leaveData).forEach(([userid, cells]) => {
+    if (!isObject(cells)) {
+      problems.push(`${userid}: 请假记录必须是对象`);
+      return;
+    }
+    Object.entries(cells).forEach(([dateKey, status]) => {
+      if (!isValidDateKey(dateKey)) {
+        problems.push(`${userid}: 日期格式无效 ${dateKey}`);
+      } else if (!VALID_STATUSES.includes(status)) {
+        problems.push(`${userid} ${dateKey}: 状态无效 ${status}`);
+      }
+    });
+  });
+
+  Object.entries(isObject(data.leaveTypes) ? data.leaveTypes : {}).forEach(([userid, types]) => {
+    if (!isObject(types)) {
+      problems.push(`${userid}: 假期类型必须是对象`);
+      return;
+    }
+    Object.entries(types).forEach(([dateKey, leaveType]) => {
+      if (!isValidDateKey(dateKey) || !isValidLeaveType(leaveType)) {
+        problems.push(`${userid} ${dateKey}: 假期类型无效`);
+      }
+    });
+  });
+
+  Object.entries(isObject(data.employeeInfo) ? data.employeeInfo : {}).forEach(([userid, info]) => {
+    if (!isObject(info) || typeof info.name !== 'string') {
+      problems.push(`${userid}: 员工信息缺少姓名`);
+    } else if (info.departmentHistory !== undefined &&
+        (!Array.isArray(info.departmentHistory) ||
+         info.departmentHistory.some(entry => !isObject(entry) || typeof entry.department !== 'string' ||
+           (entry.from !== null && !/^\d{4}-\d{2}-\d{2}$/.test(entry.from))))) {
+      problems.push(`${userid}: 部门历史无效（每项需 department 与 from: YYYY-MM-DD 或 null）`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10).join('; ');
+    const more = problems.length > 10 ? `（另有 ${problems.length - 10} 处）` : '';
+    throw new LeaveRecordValidationError(`导入数据校验失败: ${shown}${more}`, 'INVALID_DOCUMENT');
+  }
+}
+
+// ============================================
+// Versioning (optimistic concurrency)
+// ============================================
+
+/**
+ * Version of a leave data document (its updatedAt)
+ */
+function getVersion(data) {
+  return (data && data.updatedAt) || 'empty';
+}
+
+/**
+ * ETag header value for a document
+ */
+function toETag(data) {
+  return `"${getVersion(data)}"`;
+}
+
+/**
+ * Extract the expected version from an If-Match header or a body field
+ * @param {string} [ifMatch] - If-Match header ("\"2026-...\"" or W/"...")
+ * @param {string} [bodyVersion] - updatedAt sent in the request body
+ * @returns {string|null} Expected version, or null if the client sent none
+ */
+function parseExpectedVersion(ifMatch, bodyVersion) {
+  if (ifMatch) {
+    return ifMatch.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+  }
+  return bodyVersion || null;
+}
+
+/**
+ * Reject an edit based on an outdated document
+ * @throws {VersionConflictError}
+ */
+function assertVersion(data, expectedVersion) {
+  const currentVersion = getVersion(data);
+  if (expectedVersion !== currentVersion) {
+    throw new VersionConflictError('数据已被其他操作更新，请刷新后重试', currentVersion);
+  }
+}
+
+/**
+ * Whether two documents hold the same cells and employees (ignoring the version)
+ */
+function isSameContent(a, b) {
+  return ['leaveData', 'leaveTypes', 'cellApprovals', 'employeeInfo']
+    .every(field => util.isDeepStrictEqual(a[field] || {}, b[field] || {}));
+}
+
+// ============================================
+// Range Queries
+// ============================================
+
+/**
+ * Sortable day number (20260203) of a date key ("2026-2.3", "2026-2.3 (上午)")
+ * @returns {number|null} null if the key is malformed
+ */
+function dateKeyToDayNumber(dateKey) {
+  const match = DATE_KEY_PATTERN.exec(dateKey);
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 10000 + parseInt(match[2], 10) * 100 + parseInt(match[3], 10);
+}
+
+/**
+ * Sortable day number of a query date ("2026-02-03")
+ * @throws {LeaveRecordValidationError} If the date is malformed
+ */
+function queryDateToDayNumber(value) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match || !isValidDateKey(`${match[1]}-${parseInt(match[2], 10)}.${parseInt(match[3], 10)}`)) {
+    throw new LeaveRecordValidationError(`日期参数无效: ${value}（应为 YYYY-MM-DD）`, 'INVALID_DATE_RANGE');
+  }
+  return parseInt(match[1], 10) * 10000 + parseInt(match[2], 10) * 100 + parseInt(match[3], 10);
+}
+
+/**
+ * Restrict a leave data document to a date range and/or a set of employees
+ * Employees without cells in the range are kept (empty), so the board still
+ * shows their rows. A department filter uses the department each employee
+ * belonged to on the day of each cell, so transferred employees keep their
+ * past leave under the previous department.
+ *
+ * @param {Object} data - Leave data document
+ * @param {Object} query
+ * @param {string} [query.startDate] - First day, YYYY-MM-DD (inclusive)
+ * @param {string} [query.endDate] - Last day, YYYY-MM-DD (inclusive)
+ * @param {string} [query.department] - Only leave taken while in this department
+ * @param {string} [query.userid] - Only this employee
+ * @returns {Object} Filtered copy of the document
+ * @throws {LeaveRecordValidationError} If the date range is malformed
+ */
+function filterLeaveData(data, query = {}) {
+  const start = query.startDate ? queryDateToDayNumber(query.startDate) : -Infinity;
+  const end = query.endDate ? queryDateToDayNumber(query.endDate) : Infinity;
+  if (start > end) {
+    throw new LeaveRecordValidationError('开始日期不能晚于结束日期', 'INVALID_DATE_RANGE');
+  }
+
+  const employeeInfo = data.employeeInfo || {};
+  const matchesEmployee = userid =>
+    (!query.userid || userid === query.userid) &&
+    (!query.department || departmentHistory.getDepartmentsInRange(employeeInfo[userid], start, end)
+      .some(assignment => assignment.department === query.department));
+
+  const inDepartment = (userid, day) => {
+    if (!query.department) {
+      return true;
+    }
+    const assignment = departmentHistory.getDepartmentAt(employeeInfo[userid], day);
+    return !!assignment && assignment.department === query.department;
+  };
+
+  const pickCells = (userid, cells) => {
+    const picked = {};
+    Object.keys(cells || {}).forEach(dateKey => {
+      const day = dateKeyToDayNumber(dateKey);
+      if (day !== null && day >= start && day <= end && inDepartment(userid, day)) {
+        picked[dateKey] = cells[dateKey];
+      }
+    });
+    return picked;
+  };
+
+  const filtered = {
+    leaveData: {},
+    leaveTypes: {},
+    cellApprovals: {},
+    employeeInfo: {},
+    updatedAt: data.updatedAt || null,
+  };
+
+  Object.keys(data.leaveData).filter(matchesEmployee).forEach(userid => {
+    filtered.leaveData[userid] = pickCells(userid, data.leaveData[userid]);
+    filtered.leaveTypes[userid] = pickCells(userid, (data.leaveTypes || {})[userid]);
+    filtered.cellApprovals[userid] = pickCells(userid, (data.cellApprovals || {})[userid]);
+  });
+
+  // Without an employee filter keep everyone, so the department list stays complete
+  Object.keys(employeeInfo)
+    .filter(userid => (!query.userid && !query.department) || matchesEmployee(userid))
+    .forEach(userid => {
+      filtered.employeeInfo[userid] = employeeInfo[userid];
+    });
+
+  return filtered;
+}
+
+// ============================================
+// Cell Edits
+// ============================================
+
+/**
+ * Set the status (and optionally leave type) of one cell
+ * @param {Object} data - Leave data document (modified in place)
+ */
+function setCell(data, userid, date, status, leaveType) {
+  if (!data.leaveData[userid]) {
+    data.leaveData[userid] = {};
+  }
+  data.leaveData[userid][date] = status;
+
+  if (!data.leaveTypes) {
+    data.leaveTypes = {};
+  }
+  if (leaveType) {
+    if (!data.leaveTypes[userid]) {
+      data.leaveTypes[userid] = {};
+    }
+    data.leaveTypes[userid][date] = leaveType;
+  } else if (leaveType === null && data.leaveTypes[userid]) {
+    delete data.leaveTypes[userid][date];
+  }
+}
+
+/**
+ * Remove one cell (status, leave type and contributing approvals)
+ * @param {Object} data - Leave data document (modified in place)
+ * @returns {boolean} True if the cell existed
+ */
+function clearCell(data, userid, date) {
+  const cells = data.leaveData[userid];
+  if (!cells || !(date in cells)) {
+    return false;
+  }
+
+  delete cells[date];
+  if (data.leaveTypes && data.leaveTypes[userid]) {
+    delete data.leaveTypes[userid][date];
+  }
+  if (data.cellApprovals && data.cellApprovals[userid]) {
+    delete data.cellApprovals[userid][date];
+  }
+  return true;
+}
+
+// ============================================
+// Diff
+// ============================================
+
+/**
+ * List every cell whose status differs between two documents
+ * @returns {Array<{userid, dateKey, oldStatus, newStatus}>} null status = no cell
+ */
+function diffCells(before, after) {
+  const oldLeaveData = (before && before.leaveData) || {};
+  const newLeaveData = (after && after.leaveData) || {};
+  const changes = [];
+
+  const userids = new Set([...Object.keys(oldLeaveData), ...Object.keys(newLeaveData)]);
+  userids.forEach(userid => {
+    const oldCells = oldLeaveData[userid] || {};
+    const newCells = newLeaveData[userid] || {};
+    const dateKeys = new Set([...Object.keys(oldCells), ...Object.keys(newCells)]);
+
+    dateKeys.forEach(dateKey => {
+      const oldStatus = oldCells[dateKey] || null;
+      const newStatus = newCells[dateKey] || null;
+      if (oldStatus !== newStatus) {
+        changes.push({ userid, dateKey, oldStatus, newStatus });
+      }
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Summarize what replacing a document would change (import preview)
+ * @returns {Object} { summary, added, changed, removed, employees: { added, removed } }
+ */
+function diffLeaveData(before, after) {
+  const changes = diffCells(before, after);
+  const oldEmployees = Object.keys((before && before.employeeInfo) || {});
+  const newEmployees = Object.keys((after && after.employeeInfo) || {});
+
+  const added = changes.filter(change => change.oldStatus === null);
+  const removed = changes.filter(change => change.newStatus === null);
+  const changed = changes.filter(change => change.oldStatus !== null && change.newStatus !== null);
+  const employees = {
+    added: newEmployees.filter(userid => !oldEmployees.includes(userid)),
+    removed: oldEmployees.filter(userid => !newEmployees.includes(userid)),
+  };
+
+  return {
+    summary: {
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      employeesAdded: employees.added.length,
+      employeesRemoved: employees.removed.length,
+    },
+    added,
+    changed,
+    removed,
+    employees,
+  };
+}
+
+module.exports = {
+  VALID_STATUSES,
+  isValidDateKey,
+  isValidLeaveType,
+  validateCellEdit,
+  validateLeaveDocument,
+  getVersion,
+  toETag,
+  parseExpectedVersion,
+  assertVersion,
+  isSameContent,
+  filterLeaveData,
+  dateKeyToDayNumber,
+  setCell,
+  clearCell,
+  diffCells,
+  diffLeaveData,
+  LeaveRecordValidationError,
+  VersionConflictError,
+};
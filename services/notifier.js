@@ -0,0 +1,263 @@
+/**
+ * Notifier - WeChat Work application messages on leave events
+ *
+ * When a callback approves, rejects or revokes a leave, a text card can be
+ * sent (message/send, as the same app used for OAuth) to the applicant's
+ * direct leaders and/or the subscribers of the applicant's department. The
+ * card links to the board month of the leave with the employee's row
+ * highlighted.
+ *
+ * Disabled unless NOTIFY_ENABLED=true. Recipients and texts are configured in
+ * notification-rules.json (NOTIFY_RULES_FILE), e.g.
+ *   { "notifyLeaders": true,
+ *     "subscribers": { "研发部": ["zhangsan", "lisi"] },
+ *     "statuses": ["已通过", "通过后撤销"],
+ *     "title": "{name}的{leaveType}{status}" }
+ * Without the file, only direct leaders are notified, with the default texts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const wecomService = require('./wecom-service');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const RULES_FILE = path.resolve(ROOT_DIR, process.env.NOTIFY_RULES_FILE || 'notification-rules.json');
+const NOTIFY_ENABLED = process.env.NOTIFY_ENABLED === 'true';
+const NOTIFY_AGENT_ID = process.env.NOTIFY_AGENT_ID || process.env.WECOM_OAUTH_AGENTID;
+
+const DEFAULT_RULES = {
+  notifyLeaders: true,
+  subscribers: {},
+  statuses: ['已通过', '已驳回', '已撤销', '通过后撤销'],
+  title: '{name}的{leaveType}申请{status}',
+  description: '<div class="gray">{department}</div>' +
+    '<div class="normal">{name} · {leaveType}</div>' +
+    '<div class="highlight">{status}：{dates}</div>',
+  button: '查看看板',
+};
+
+// Dates listed on a card before the rest are summarized
+const MAX_LISTED_DATES = 10;
+
+// sp_no:status pairs already notified (re-delivered callbacks send nothing)
+const MAX_REMEMBERED = 500;
+const notified = new Set();
+
+let rules = null;
+
+/**
+ * Load the notification rules (defaults for missing fields)
+ * @returns {Object} { notifyLeaders, subscribers, statuses, title, description, button }
+ */
+function loadRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return { ...DEFAULT_RULES };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+    if (config.subscribers !== undefined &&
+        (typeof config.subscribers !== 'object' || Array.isArray(config.subscribers))) {
+      throw new Error('"subscribers" must map department names to userid lists');
+    }
+    return { ...DEFAULT_RULES, ...config };
+  } catch (error) {
+    console.error(`❌ Invalid notification rules ${RULES_FILE}: ${error.message}`);
+    return { ...DEFAULT_RULES };
+  }
+}
+
+/**
+ * Get the rules (loaded once)
+ */
+function getRules() {
+  if (!rules) {
+    rules = loadRules();
+  }
+  return rules;
+}
+
+/**
+ * Board URL: NOTIFY_BOARD_URL, else the origin of the OAuth callback URL
+ * @returns {string|null}
+ */
+function getBoardUrl() {
+  if (process.env.NOTIFY_BOARD_URL) {
+    return process.env.NOTIFY_BOARD_URL.replace(/\/+$/, '');
+  }
+  try {
+    return new URL(process.env.WECOM_OAUTH_CALLBACK_URL).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if notifications are enabled and can be sent
+ */
+function isEnabled() {
+  return NOTIFY_ENABLED && !!NOTIFY_AGENT_ID && !!getBoardUrl();
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Replace {placeholders} with values (unknown ones are left as is)
+ * @param {boolean} html - Escape values (text card descriptions are HTML)
+ */
+function renderTemplate(template, values, html) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in values)) {
+      return match;
+    }
+    return html ? escapeHtml(values[key]) : String(values[key]);
+  });
+}
+
+/**
+ * Day number and half-day order of a date key, for sorting
+ */
+function parseDateKey(dateKey) {
+  const match = /^(\d{4})-(\d{1,2})\.(\d{1,2})(?: \((上午|下午)\))?$/.exec(dateKey);
+  if (!match) {
+    return null;
+  }
+  return {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10),
+    day: parseInt(match[3], 10),
+    half: match[4] || null,
+  };
+}
+
+/**
+ * Readable date list, e.g. "3.2、3.3 上午"
+ */
+function formatDates(dateKeys) {
+  const parsed = (dateKeys || [])
+    .map(parseDateKey)
+    .filter(Boolean)
+    .sort((a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day) ||
+      (a.half === '下午') - (b.half === '下午'));
+
+  const listed = parsed.slice(0, MAX_LISTED_DATES)
+    .map(date => `${date.month}.${date.day}${date.half ? ` ${date.half}` : ''}`);
+  const more = parsed.length > MAX_LISTED_DATES ? ` 等 ${parsed.length} 个日期` : '';
+  return listed.join('、') + more;
+}
+
+/**
+ * Board link for the month of the leave's first day, highlighting the employee
+ */
+function buildBoardLink(event) {
+  const first = (event.dateKeys || []).map(parseDateKey).filter(Boolean)
+    .sort((a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day))[0];
+  const params = new URLSearchParams({ highlight: event.userid });
+  if (first) {
+    params.set('month', `${first.year}-${String(first.month).padStart(2, '0')}`);
+  }
+  return `${getBoardUrl()}/?${params.toString()}`;
+}
+
+/**
+ * Recipients of an event: direct leaders (from user/get) and subscribers of
+ * any department in the applicant's chain; never the applicant
+ * @returns {Promise<Array<string>>} userids
+ */
+async function resolveRecipients(accessToken, event, activeRules) {
+  const recipients = new Set();
+
+  if (activeRules.notifyLeaders) {
+    const userInfo = await wecomService.getUserInfo(accessToken, event.userid);
+    ((userInfo && userInfo.direct_leader) || []).forEach(userid => recipients.add(userid));
+  }
+
+  const chain = event.departmentPath && event.departmentPath.length > 0
+    ? event.departmentPath
+    : [event.department];
+  Object.entries(activeRules.subscribers || {}).forEach(([department, userids]) => {
+    if (chain.includes(department) && Array.isArray(userids)) {
+      userids.forEach(userid => recipients.add(userid));
+    }
+  });
+
+  recipients.delete(event.userid);
+  return Array.from(recipients);
+}
+
+function remember(key) {
+  notified.add(key);
+  if (notified.size > MAX_REMEMBERED) {
+    notified.delete(notified.values().next().value);
+  }
+}
+
+/**
+ * Notify the recipients of a leave status change
+ * Never throws: a failed notification must not fail or retry the callback.
+ * @param {string} accessToken - WeChat access token
+ * @param {Object} event - { spNo, userid, name, department, departmentPath, leaveType, status, dateKeys }
+ * @returns {Promise<number>} Number of recipients notified
+ */
+async function notifyLeaveEvent(accessToken, event) {
+  if (!isEnabled()) {
+    return 0;
+  }
+
+  const activeRules = getRules();
+  const key = `${event.spNo}:${event.status}`;
+  if (!activeRules.statuses.includes(event.status) || notified.has(key)) {
+    return 0;
+  }
+
+  try {
+    const recipients = await resolveRecipients(accessToken, event, activeRules);
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    const values = {
+      name: event.name || event.userid,
+      department: event.department || '',
+      leaveType: event.leaveType || '请假',
+      status: event.status,
+      dates: formatDates(event.dateKeys),
+      spNo: event.spNo,
+    };
+
+    const result = await wecomService.sendAppMessage(accessToken, {
+      touser: recipients.join('|'),
+      msgtype: 'textcard',
+      agentid: parseInt(NOTIFY_AGENT_ID, 10),
+      textcard: {
+        title: renderTemplate(activeRules.title, values, false),
+        description: renderTemplate(activeRules.description, values, true),
+        url: buildBoardLink(event),
+        btntxt: activeRules.button,
+      },
+    });
+    remember(key);
+
+    if (result.invaliduser) {
+      console.warn(`[NOTIFY] Invalid recipients for SpNo=${event.spNo}: ${result.invaliduser}`);
+    }
+    console.log(`[NOTIFY] SpNo=${event.spNo} ${event.status} -> ${recipients.length} recipient(s)`);
+    return recipients.length;
+  } catch (error) {
+    console.error(`[NOTIFY] Failed to notify SpNo=${event.spNo}: ${error.message}`);
+    return 0;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  notifyLeaveEvent,
+  formatDates,
+  buildBoardLink,
+};
@@ -0,0 +1,153 @@
+/**
+ * Overtime Store
+ *
+ * Persists overtime (加班) approvals keyed by sp_no, separately from leave:
+ * overtime is counted in hours per day rather than occupying a leave cell, and
+ * it must never be mistaken for an absence by the leave merge rules.
+ *
+ * The board reads a per-day view (userid → dateKey → hours) built from the
+ * approved and pending records, so 调休 taken can be balanced against
+ * overtime worked.
+ */
+
+const storage = require('./storage');
+const approvalStore = require('./approval-store');
+
+// Statuses shown on the board; rejected/withdrawn overtime is kept but hidden
+const VISIBLE_STATUSES = ['已通过', '审批中'];
+
+/**
+ * Load overtime store from storage
+ * Throws on unreadable data so a corrupt store is never replaced by an empty one
+ * @returns {Object} Store with records keyed by sp_no
+ */
+function loadOvertimeStore() {
+  let store;
+  try {
+    store = storage.readDocument('overtime_data');
+  } catch (error) {
+    console.error('❌ Failed to load overtime store:', error.message);
+    throw new Error('Failed to load overtime store');
+  }
+
+  return store || { records: {}, updatedAt: null };
+}
+
+/**
+ * Save overtime store to storage
+ * @param {Object} store - Overtime store data
+ */
+function saveOvertimeStore(store) {
+  try {
+    store.updatedAt = new Date().toISOString();
+    storage.writeDocument('overtime_data', store);
+  } catch (error) {
+    console.error('Failed to save overtime store:', error.message);
+  }
+}
+
+/**
+ * Insert or replace overtime records (keyed by sp_no)
+ * @param {Array<Object>} transformedList - Transformed overtime approvals (category 'overtime')
+ * @returns {number} Number of records stored
+ */
+function recordOvertime(transformedList) {
+  const valid = (transformedList || []).filter(t => t && t.spNo && t.category === 'overtime');
+  if (valid.length === 0) {
+    return 0;
+  }
+
+  const store = loadOvertimeStore();
+  valid.forEach(transformed => {
+    store.records[transformed.spNo] = {
+      sp_no: transformed.spNo,
+      userid: transformed.userid,
+      name: transformed.name,
+      department: transformed.department,
+      department_path: transformed.departmentPath || null,
+      template_id: transformed.templateId || null,
+      sp_name: transformed.spName || null,
+      status_code: transformed.statusCode,
+      status: transformed.status,
+      apply_time: transformed.applyTime || null,
+      start_time: transformed.startTime || null,
+      end_time: transformed.endTime || null,
+      duration: transformed.duration || null,
+      entries: transformed.entries,
+      updated_at: new Date().toISOString(),
+    };
+  });
+  saveOvertimeStore(store);
+
+  return valid.length;
+}
+
+/**
+ * Update the status of a stored overtime record
+ * @param {string} spNo - Approval number
+ * @param {number} statusCode - WeChat status code
+ * @param {string} statusText - Internal status text
+ * @returns {Object|null} Updated record, or null if unknown
+ */
+function updateOvertimeStatus(spNo, statusCode, statusText) {
+  const store = loadOvertimeStore();
+  const record = store.records[spNo];
+  if (!record) {
+    return null;
+  }
+
+  record.status_code = statusCode;
+  record.status = statusText;
+  record.updated_at = new Date().toISOString();
+  saveOvertimeStore(store);
+
+  return record;
+}
+
+/**
+ * Pending overtime approvals, re-checked by the status check until finalized
+ * @param {number} [since] - Only approvals submitted at or after this Unix time
+ * @returns {Array<Object>} Records still 审批中
+ */
+function listPendingOvertime(since = 0) {
+  const store = loadOvertimeStore();
+  return Object.values(store.records)
+    .filter(record => record.status_code === 1 && (record.apply_time || 0) >= since);
+}
+
+/**
+ * Build the per-day overtime view shown on the board
+ * Shaped like leave data so leaveRecords.filterLeaveData() can filter it.
+ * @returns {Object} { leaveData: userid → dateKey → { hours, pendingHours, spNos }, employeeInfo, updatedAt }
+ */
+function buildOvertimeView() {
+  const store = loadOvertimeStore();
+  const view = { leaveData: {}, employeeInfo: {}, updatedAt: store.updatedAt };
+
+  Object.values(store.records)
+    .filter(record => VISIBLE_STATUSES.includes(record.status))
+    .forEach(record => {
+      const cells = view.leaveData[record.userid] || (view.leaveData[record.userid] = {});
+      view.employeeInfo[record.userid] = approvalStore.toEmployeeInfo(record);
+
+      (record.entries || []).forEach(({ date, hours }) => {
+        const cell = cells[date] || (cells[date] = { hours: 0, pendingHours: 0, spNos: [] });
+        if (record.status === '已通过') {
+          cell.hours = Math.round((cell.hours + hours) * 10) / 10;
+        } else {
+          cell.pendingHours = Math.round((cell.pendingHours + hours) * 10) / 10;
+        }
+        cell.spNos.push(record.sp_no);
+      });
+    });
+
+  return view;
+}
+
+module.exports = {
+  loadOvertimeStore,
+  recordOvertime,
+  updateOvertimeStatus,
+  listPendingOvertime,
+  buildOvertimeView,
+};
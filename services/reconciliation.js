@@ -0,0 +1,361 @@
+/**
+ * Reconciliation - Scheduled full re-check against WeChat Work
+ *
+ * Callbacks can be missed and the status check only covers approvals still in
+ * the active list, so the board can drift from WeChat Work over time. Each run:
+ * - Re-lists every approval submitted in the trailing window (RECONCILE_WINDOW_DAYS)
+ * - Records their authoritative status and dates in the approval store (in any
+ *   status, so missed rejections and revocations are applied too) and
+ *   re-derives the affected employees' cells
+ * - Drops approvals that are no longer pending from the active list and starts
+ *   tracking pending ones it did not know about (approved ones still ahead
+ *   move to the watched tier, revoked ones leave it)
+ * - Writes a report of what changed on the board (added, changed, removed)
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const storage = require('./storage');
+const wecomService = require('./wecom-service');
+const syncLock = require('./sync-lock');
+const syncRuns = require('./sync-runs');
+const leaveRecords = require('./leave-records');
+const approvalStore = require('./approval-store');
+const templateRegistry = require('./template-registry');
+const activeApprovalManager = require('./active-approvals');
+const { loadLeaveData, saveLeaveData, mergeLeaveData } = require('./sync-scheduler');
+
+const RECONCILE_ENABLED = process.env.RECONCILE_ENABLED !== 'false';
+const RECONCILE_INTERVAL = process.env.RECONCILE_INTERVAL || '30 2 * * *'; // Every night at 02:30
+const RECONCILE_WINDOW_DAYS = parseInt(process.env.RECONCILE_WINDOW_DAYS || '60', 10);
+
+const MAX_REPORTS_KEPT = 30;
+
+let reconcileJob = null;
+let running = null; // Report of the run in progress
+
+// ============================================
+// Reports
+// ============================================
+
+/**
+ * Load reports from storage
+ * @returns {Object} { reports: [report] } (newest first)
+ */
+function loadReports() {
+  let store;
+  try {
+    store = storage.readDocument('reconciliation_reports');
+  } catch (error) {
+    console.error('❌ Failed to load reconciliation reports:', error.message);
+    throw new Error('Failed to load reconciliation reports');
+  }
+
+  return store || { reports: [] };
+}
+
+function saveReport(report) {
+  try {
+    const store = loadReports();
+    store.reports = [report].concat(store.reports.filter(item => item.id !== report.id)).slice(0, MAX_REPORTS_KEPT);
+    storage.writeDocument('reconciliation_reports', store);
+  } catch (error) {
+    console.error('Failed to save reconciliation report:', error.message);
+  }
+}
+
+/**
+ * List reports without their cell lists, newest first
+ */
+function listReports() {
+  const reports = loadReports().reports;
+  if (running && !reports.some(report => report.id === running.id)) {
+    reports.unshift(running);
+  }
+  return reports.map(({ added, changed, removed, ...summary }) => summary);
+}
+
+/**
+ * Get a full report
+ * @param {string} reportId - Report ID
+ * @returns {Object|null} Report, or null if unknown
+ */
+function getReport(reportId) {
+  if (running && running.id === reportId) {
+    return running;
+  }
+  return loadReports().reports.find(report => report.id === reportId) || null;
+}
+
+// ============================================
+// Reconciliation
+// ============================================
+
+/**
+ * Start a reconciliation run in the background
+ * @param {string} [actor] - Who started it (null for the scheduler)
+ * @returns {Object} { report, alreadyRunning }
+ */
+function startReconciliation(actor) {
+  if (running) {
+    return { report: running, alreadyRunning: true };
+  }
+
+  const endTimestamp = Math.floor(Date.now() / 1000);
+  const startTimestamp = endTimestamp - RECONCILE_WINDOW_DAYS * 86400;
+
+  running = {
+    id: crypto.randomBytes(6).toString('hex'),
+    status: 'running',
+    actor: actor || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    window: {
+      start: new Date(startTimestamp * 1000).toISOString(),
+      end: new Date(endTimestamp * 1000).toISOString(),
+      days: RECONCILE_WINDOW_DAYS,
+    },
+    approvalsChecked: 0,
+    activeRemoved: 0,
+    activeAdded: 0,
+    summary: null,
+    added: [],
+    changed: [],
+    removed: [],
+    errors: [],
+    error: null,
+  };
+
+  const report = running;
+  runReconciliation(report, startTimestamp, endTimestamp);
+  return { report, alreadyRunning: false };
+}
+
+/**
+ * Run a reconciliation to completion (never rejects; failures are recorded on the report)
+ */
+async function runReconciliation(report, startTimestamp, endTimestamp) {
+  const run = syncRuns.startRun('reconciliation', {
+    range: report.window,
+    actor: report.actor,
+  });
+
+  console.log(`\n🧮 Starting reconciliation (${report.window.days} days: ${report.window.start} → ${report.window.end})`);
+
+  try {
+    const wecomData = await wecomService.syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp);
+    report.approvalsChecked = wecomData.syncedCount;
+    report.errors = wecomData.errors.slice(0, 100);
+
+    const lastChunk = wecomData.chunks[wecomData.chunks.length - 1];
+    if (!lastChunk || lastChunk.end < endTimestamp) {
+      report.errors.push({ spNo: null, error: '部分时间段的审批列表拉取失败，对账不完整' });
+    }
+
+    await syncLock.withLock(() => {
+      const before = loadLeaveData();
+      const { merged } = mergeLeaveData(before, wecomData);
+      const finalized = applyApprovalStatuses(merged, wecomData.rawDetails);
+
+      const diff = leaveRecords.diffLeaveData(before, merged);
+      report.summary = diff.summary;
+      report.added = diff.added;
+      report.changed = diff.changed;
+      report.removed = diff.removed;
+
+      if (diff.summary.added + diff.summary.changed + diff.summary.removed > 0) {
+        saveLeaveData(merged, {
+          source: 'reconciliation',
+          actor: report.actor,
+          approvals: (wecomData.approvals || []).concat(finalized),
+        });
+      }
+
+      reconcileActiveApprovals(report, wecomData);
+    });
+
+    report.status = report.errors.length > 0 ? 'partial' : 'completed';
+    const { added, changed, removed } = report.summary;
+    console.log(`✅ Reconciliation completed: ${report.approvalsChecked} approvals checked, +${added} ~${changed} -${removed}`);
+    syncRuns.finishRun(run, {
+      syncedCount: added + changed + removed,
+      skippedCount: wecomData.skippedCount,
+      errors: report.errors,
+    });
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    console.error('❌ Reconciliation failed:', error.message);
+    syncRuns.finishRun(run, { error });
+  } finally {
+    report.finishedAt = new Date().toISOString();
+    saveReport(report);
+    running = null;
+  }
+}
+
+/**
+ * Record the authoritative status and dates of every re-listed leave approval
+ * and re-derive the affected employees' cells (caller must hold sync lock)
+ * The transform only keeps pending and approved leave, so this is what catches
+ * approvals rejected, revoked or deleted while callbacks were lost. Approvals
+ * the store does not know are only recorded if they back a cell on the board.
+ * @param {Object} data - Merged leave data document (updated in place)
+ * @param {Array<Object>} rawDetails - Raw approval details
+ * @returns {Array<Object>} Updated approval records
+ */
+function applyApprovalStatuses(data, rawDetails) {
+  const updated = [];
+
+  (rawDetails || []).forEach(detail => {
+    const template = templateRegistry.matchTemplate(detail.template_id, detail.sp_name);
+    if (!template || template.category !== 'leave') {
+      return;
+    }
+
+    const spNo = detail.sp_no;
+    const userid = detail.applier?.userid || detail.applyer?.userid;
+    const dateKeys = wecomService.extractDateKeys(detail);
+    const stored = approvalStore.getApproval(spNo);
+
+    if (!stored) {
+      const cells = (userid && data.leaveData[userid]) || {};
+      if (!dateKeys || !dateKeys.some(dateKey => dateKey in cells)) {
+        return;
+      }
+    }
+
+    const statusChanged = !stored || stored.status_code !== detail.sp_status;
+    const datesChanged = !!stored && !!dateKeys && dateKeys.length > 0 &&
+      (dateKeys.length !== stored.leave_dates.length || dateKeys.some(dateKey => !stored.leave_dates.includes(dateKey)));
+    if (!statusChanged && !datesChanged) {
+      return;
+    }
+
+    const record = approvalStore.updateApprovalStatus(spNo, detail.sp_status, wecomService.getStatusText(detail.sp_status), {
+      userid,
+      dateKeys,
+      applyTime: detail.apply_time,
+      leaveType: (wecomService.parseApprovalData(detail, template) || {}).leaveType,
+    });
+    approvalStore.reviseApprovalDates(spNo, dateKeys);
+    if (record) {
+      updated.push(approvalStore.getApproval(spNo));
+    }
+  });
+
+  if (updated.length > 0) {
+    approvalStore.applyToLeaveData(data, updated.map(record => record.userid));
+    console.log(`   🔁 Applied ${updated.length} status or date change(s) from WeChat Work`);
+  }
+
+  return updated;
+}
+
+/**
+ * Bring the active approvals list in line with the re-listed approvals
+ * (caller must hold sync lock)
+ */
+function reconcileActiveApprovals(report, wecomData) {
+  const activeData = activeApprovalManager.loadActiveApprovals();
+  const activeApprovals = activeData.approvals || {};
+  let changed = false;
+
+  (wecomData.rawDetails || []).forEach(detail => {
+    const spNo = detail.sp_no;
+    const tracked = activeApprovals[spNo];
+
+    if (tracked && activeApprovalManager.shouldRemoveFromActive(detail.sp_status)) {
+      delete activeApprovals[spNo];
+      report.activeRemoved++;
+      changed = true;
+      if (detail.sp_status === 2) {
+        activeApprovalManager.watchApproved(activeData, {
+          ...tracked,
+          leave_dates: (wecomData.spDateKeysMap && wecomData.spDateKeysMap[spNo]) || tracked.leave_dates,
+        });
+      }
+      return;
+    }
+
+    // Watched approved leaves that were revoked while callbacks were lost
+    if (activeData.watched[spNo] && detail.sp_status !== 2) {
+      activeApprovalManager.unwatch(activeData, spNo);
+      changed = true;
+    }
+
+    if (!tracked && detail.sp_status === 1 && detail.apply_time >= activeApprovalManager.CUTOFF_TIMESTAMP) {
+      const approval = (wecomData.approvals || []).find(item => item.spNo === spNo);
+      if (!approval) {
+        return;
+      }
+      activeApprovals[spNo] = {
+        sp_no: spNo,
+        userid: approval.userid,
+        name: approval.name,
+        department: approval.department,
+        apply_time: detail.apply_time,
+        submit_time: new Date(detail.apply_time * 1000).toISOString(),
+        current_status: 1,
+        status_text: '审批中',
+        leave_dates: (wecomData.spDateKeysMap && wecomData.spDateKeysMap[spNo]) || [],
+        leave_type: approval.leaveType || null,
+        last_checked: Math.floor(Date.now() / 1000),
+        last_checked_time: new Date().toISOString(),
+      };
+      report.activeAdded++;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    activeData.approvals = activeApprovals;
+    activeApprovalManager.saveActiveApprovals(activeData);
+    console.log(`   📌 Active approvals: ${report.activeRemoved} removed, ${report.activeAdded} added`);
+  }
+}
+
+// ============================================
+// Scheduler
+// ============================================
+
+/**
+ * Start the nightly reconciliation scheduler
+ */
+function startReconciliationScheduler() {
+  if (!RECONCILE_ENABLED) {
+    console.log('ℹ️  Reconciliation is disabled (set RECONCILE_ENABLED=true to enable)');
+    return;
+  }
+
+  if (reconcileJob) {
+    console.log('⚠️  Reconciliation scheduler already running');
+    return;
+  }
+
+  console.log(`\n🧮 Starting reconciliation scheduler...`);
+  console.log(`   ⏰ Interval: ${RECONCILE_INTERVAL} (${RECONCILE_WINDOW_DAYS}-day window)`);
+
+  reconcileJob = cron.schedule(RECONCILE_INTERVAL, () => {
+    startReconciliation(null);
+  });
+}
+
+/**
+ * Stop the reconciliation scheduler
+ */
+function stopReconciliationScheduler() {
+  if (reconcileJob) {
+    reconcileJob.stop();
+    reconcileJob = null;
+    console.log('🛑 Reconciliation scheduler stopped');
+  }
+}
+
+module.exports = {
+  startReconciliation,
+  listReports,
+  getReport,
+  startReconciliationScheduler,
+  stopReconciliationScheduler,
+};
@@ -0,0 +1,60 @@
+/**
+ * SQLite Storage Backend
+ *
+ * Stores each document as one row in an embedded SQLite database
+ * (better-sqlite3, synchronous API — same call pattern as the JSON backend).
+ */
+
+const Database = require('better-sqlite3');
+
+class SqliteStorage {
+  /**
+   * @param {string} dbPath - Path to the SQLite database file
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    this.selectStmt = this.db.prepare('SELECT data FROM documents WHERE name = ?');
+    this.upsertStmt = this.db.prepare(`
+      INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+  }
+
+  describe() {
+    return `sqlite (${this.dbPath})`;
+  }
+
+  /**
+   * Read a document
+   * @returns {*} Parsed document, or null if no row exists
+   */
+  read(name) {
+    const row = this.selectStmt.get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Write (replace) a document
+   */
+  write(name, data) {
+    this.upsertStmt.run(name, JSON.stringify(data), new Date().toISOString());
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteStorage,
+};
@@ -0,0 +1,114 @@
+/**
+ * Storage - Pluggable persistence backend
+ *
+ * All services read and write whole documents (leave data, sessions, users,
+ * active approvals, sync state, holiday cache...) through this module instead
+ * of touching the filesystem directly.
+ *
+ * Backends (selected by STORAGE_BACKEND in .env.local):
+ * - json   (default): one JSON file per document, same files as before
+ * - sqlite: embedded SQLite database (one row per document)
+ */
+
+const path = require('path');
+
+// Load environment variables from .env.local
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.local') });
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Document name → JSON file (relative to project root)
+const DOCUMENTS = {
+  leave_data: 'leave_data.json',
+  leave_approvals: 'leave_approvals.json',
+  leave_history: 'leave_history.json',
+  sessions: 'sessions.json',
+  users: 'users.json',
+  active_approvals: '.active_approvals.json',
+  sync_state: '.sync_state.json',
+  sync_jobs: '.sync_jobs.json',
+  sync_runs: '.sync_runs.json',
+  reconciliation_reports: '.reconciliation_reports.json',
+  callback_queue: '.callback_queue.json',
+  overtime_data: 'overtime_data.json',
+  availability_data: 'availability_data.json',
+  directory: 'directory.json',
+  holiday_cache: 'services/holiday-cache.json',
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const SQLITE_DB_PATH = path.resolve(ROOT_DIR, process.env.SQLITE_DB_PATH || 'leave_board.db');
+
+// JSON backend: rolling on-disk generations used for crash recovery
+const JSON_BACKUP_DIR = path.resolve(ROOT_DIR, process.env.JSON_STORAGE_BACKUP_DIR || 'backups');
+const JSON_GENERATIONS = parseInt(process.env.JSON_STORAGE_GENERATIONS || '5', 10);
+
+let storage = null;
+
+/**
+ * Create a backend instance by name
+ * @param {string} backend - 'json' or 'sqlite'
+ * @returns {JsonStorage|SqliteStorage} Storage backend
+ */
+function createStorage(backend) {
+  if (backend === 'json') {
+    const { JsonStorage } = require('./json-storage');
+    return new JsonStorage(ROOT_DIR, DOCUMENTS, {
+      backupDir: JSON_BACKUP_DIR,
+      generations: JSON_GENERATIONS,
+    });
+  }
+
+  if (backend === 'sqlite') {
+    const { SqliteStorage } = require('./sqlite-storage');
+    return new SqliteStorage(SQLITE_DB_PATH);
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "json" or "sqlite")`);
+}
+
+/**
+ * Get the configured storage backend (lazy singleton)
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage(STORAGE_BACKEND);
+    console.log(`💽 Storage backend: ${storage.describe()}`);
+  }
+  return storage;
+}
+
+/**
+ * Read a document
+ * @param {string} name - Document name (see DOCUMENTS)
+ * @returns {*} Parsed document, or null if it does not exist
+ * @throws {Error} If the document exists but is unreadable and cannot be recovered
+ */
+function readDocument(name) {
+  assertKnownDocument(name);
+  return getStorage().read(name);
+}
+
+/**
+ * Write (replace) a document
+ * @param {string} name - Document name (see DOCUMENTS)
+ * @param {*} data - JSON-serializable document
+ */
+function writeDocument(name, data) {
+  assertKnownDocument(name);
+  getStorage().write(name, data);
+}
+
+function assertKnownDocument(name) {
+  if (!DOCUMENTS[name]) {
+    throw new Error(`Unknown storage document "${name}"`);
+  }
+}
+
+module.exports = {
+  readDocument,
+  writeDocument,
+  getStorage,
+  createStorage,
+  DOCUMENTS,
+};
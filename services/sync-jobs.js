@@ -0,0 +1,283 @@
+/**
+ * Sync Jobs - Background manual sync with progress
+ *
+ * A manual sync used to hold the HTTP request open while every 31-day chunk
+ * and every approval detail was fetched, which timed out behind nginx for
+ * large ranges. Now the request only creates a job and returns its id:
+ * - The job walks the range chunk by chunk in the background
+ * - Each finished chunk is merged into the board and checkpointed, so a job
+ *   interrupted by a restart resumes at the first unfinished chunk
+ * - Progress (chunks done, details fetched, errors) is kept on the job
+ *
+ * Only one job runs at a time.
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+const wecomService = require('./wecom-service');
+const syncLock = require('./sync-lock');
+const syncRuns = require('./sync-runs');
+const { loadLeaveData, saveLeaveData, mergeLeaveData } = require('./sync-scheduler');
+
+const MAX_JOBS_KEPT = 20;       // Finished jobs beyond this are dropped (oldest first)
+const MAX_ERRORS_KEPT = 100;    // Per job
+const CHUNK_DELAY_MS = 500;     // Between chunks, to avoid rate limiting
+
+// The job currently running in this process (progress is updated in memory
+// between checkpoints)
+let currentJob = null;
+
+// ============================================
+// Persistence
+// ============================================
+
+/**
+ * Load jobs from storage
+ * @returns {Object} { jobs: { [id]: job } }
+ */
+function loadJobs() {
+  let store;
+  try {
+    store = storage.readDocument('sync_jobs');
+  } catch (error) {
+    console.error('❌ Failed to load sync jobs:', error.message);
+    throw new Error('Failed to load sync jobs');
+  }
+
+  return store || { jobs: {} };
+}
+
+/**
+ * Save a job (checkpoint), pruning old finished jobs
+ */
+function saveJob(job) {
+  try {
+    const store = loadJobs();
+    store.jobs[job.id] = job;
+
+    const finished = Object.values(store.jobs)
+      .filter(item => item.status === 'completed' || item.status === 'failed')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    finished.slice(MAX_JOBS_KEPT).forEach(item => {
+      delete store.jobs[item.id];
+    });
+
+    storage.writeDocument('sync_jobs', store);
+  } catch (error) {
+    console.error('Failed to save sync job:', error.message);
+  }
+}
+
+// ============================================
+// Jobs
+// ============================================
+
+/**
+ * Get a job with computed progress
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job, or null if unknown
+ */
+function getJob(jobId) {
+  const job = currentJob && currentJob.id === jobId ? currentJob : loadJobs().jobs[jobId];
+  return job ? toJobView(job) : null;
+}
+
+/**
+ * List recent jobs, newest first
+ */
+function listJobs() {
+  return Object.values(loadJobs().jobs)
+    .map(job => (currentJob && currentJob.id === job.id ? currentJob : job))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toJobView);
+}
+
+/**
+ * Get the unfinished job, if any
+ */
+function getActiveJob() {
+  if (currentJob) {
+    return toJobView(currentJob);
+  }
+  const active = Object.values(loadJobs().jobs).find(job => job.status === 'queued' || job.status === 'running');
+  return active ? toJobView(active) : null;
+}
+
+/**
+ * Add the overall completion percentage (finished chunks plus the share of
+ * details fetched in the current chunk)
+ */
+function toJobView(job) {
+  const { chunksDone, chunksTotal, chunkFetched, chunkTotal } = job.progress;
+  const partial = chunkTotal > 0 ? chunkFetched / chunkTotal : 0;
+  const percent = job.status === 'completed' || chunksTotal === 0
+    ? 100
+    : Math.min(99, Math.floor(((chunksDone + partial) / chunksTotal) * 100));
+
+  return { ...job, progress: { ...job.progress, percent } };
+}
+
+/**
+ * Create a job and start it in the background
+ * @param {string} startDate - YYYY-MM-DD (approval submission time)
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} actor - Who started it (for the change history)
+ * @returns {Object} { job, alreadyRunning } — the running job if there is one
+ */
+function startJob(startDate, endDate, actor) {
+  const active = getActiveJob();
+  if (active) {
+    return { job: active, alreadyRunning: true };
+  }
+
+  const chunks = wecomService.splitDateRangeIntoChunks(startDate, endDate, 31);
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'queued',
+    startDate,
+    endDate,
+    actor,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    chunks: chunks.map(chunk => ({ ...chunk, done: false })),
+    progress: {
+      chunksDone: 0,
+      chunksTotal: chunks.length,
+      currentChunk: null,
+      chunkFetched: 0,
+      chunkTotal: 0,
+      detailsFetched: 0,
+      detailsTotal: 0,
+    },
+    stats: {
+      syncedCount: 0,
+      skippedCount: 0,
+      newEmployees: 0,
+      updatedEmployees: 0,
+    },
+    errors: [],
+    error: null,
+  };
+  saveJob(job);
+
+  console.log(`🧵 Sync job ${job.id} created: ${startDate} to ${endDate} (${chunks.length} chunks) by ${actor}`);
+  runJob(job);
+
+  return { job: toJobView(job), alreadyRunning: false };
+}
+
+/**
+ * Resume jobs interrupted by a restart (call once on startup)
+ */
+function resumeInterruptedJobs() {
+  let jobs;
+  try {
+    jobs = loadJobs().jobs;
+  } catch (error) {
+    console.error('❌ Could not check for interrupted sync jobs:', error.message);
+    return;
+  }
+
+  const interrupted = Object.values(jobs)
+    .filter(job => job.status === 'queued' || job.status === 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  if (interrupted.length === 0) {
+    return;
+  }
+
+  const job = interrupted[0];
+  const remaining = job.chunks.filter(chunk => !chunk.done).length;
+  console.log(`🧵 Resuming sync job ${job.id} (${remaining}/${job.chunks.length} chunks left)`);
+  runJob(job);
+}
+
+/**
+ * Run a job to completion (never rejects; failures are recorded on the job)
+ */
+async function runJob(job) {
+  const run = syncRuns.startRun('manual', {
+    range: { start: job.startDate, end: job.endDate },
+    actor: job.actor,
+  });
+  currentJob = job;
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  saveJob(job);
+
+  try {
+    for (let i = 0; i < job.chunks.length; i++) {
+      const chunk = job.chunks[i];
+      if (chunk.done) {
+        continue;
+      }
+
+      job.progress.currentChunk = `${chunk.start} ~ ${chunk.end}`;
+      job.progress.chunkFetched = 0;
+      job.progress.chunkTotal = 0;
+      console.log(`   🧵 Job ${job.id}: chunk ${i + 1}/${job.chunks.length} (${job.progress.currentChunk})`);
+
+      const wecomData = await wecomService.syncLeaveApprovalsChunk(chunk, (fetched, total) => {
+        job.progress.chunkFetched = fetched;
+        job.progress.chunkTotal = total;
+      });
+
+      // Checkpoint: merge this chunk into the board, then mark it done
+      const stats = await syncLock.withLock(() => {
+        const { merged, stats: mergeStats } = mergeLeaveData(loadLeaveData(), wecomData);
+        saveLeaveData(merged, { source: 'manual_sync', actor: job.actor, approvals: wecomData.approvals });
+        return mergeStats;
+      });
+
+      chunk.done = true;
+      job.progress.chunksDone++;
+      job.progress.detailsFetched += wecomData.syncedCount;
+      job.progress.detailsTotal += wecomData.syncedCount + wecomData.skippedCount;
+      job.stats.syncedCount += wecomData.syncedCount;
+      job.stats.skippedCount += wecomData.skippedCount;
+      job.stats.newEmployees += stats.newEmployees;
+      job.stats.updatedEmployees += stats.updatedEmployees;
+      job.errors = job.errors.concat(wecomData.errors).slice(-MAX_ERRORS_KEPT);
+      saveJob(job);
+
+      if (i < job.chunks.length - 1) {
+        await delay(CHUNK_DELAY_MS);
+      }
+    }
+
+    job.status = 'completed';
+    console.log(`✅ Sync job ${job.id} completed: ${job.stats.syncedCount} synced, ${job.stats.skippedCount} skipped`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = {
+      message: error.message,
+      code: error.code || 'SYNC_FAILED',
+    };
+    console.error(`❌ Sync job ${job.id} failed:`, error.message);
+  } finally {
+    job.progress.currentChunk = null;
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    currentJob = null;
+
+    syncRuns.finishRun(run, {
+      syncedCount: job.stats.syncedCount,
+      skippedCount: job.stats.skippedCount,
+      errors: job.errors,
+      error: job.error,
+    });
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  startJob,
+  getJob,
+  listJobs,
+  getActiveJob,
+  resumeInterruptedJobs,
+};
@@ -20,8 +20,34 @@ function isLocked() {
   return isSyncing;
 }
 
+/**
+ * Run fn while holding the lock, waiting for it if busy
+ * (callbacks and scheduled syncs only hold it briefly)
+ * @param {Function} fn - Function to run (may be async)
+ * @param {Object} [options] - { retryMs, maxWaitMs }
+ * @returns {Promise<*>} fn's result
+ */
+async function withLock(fn, options = {}) {
+  const retryMs = options.retryMs || 2000;
+  const deadline = Date.now() + (options.maxWaitMs || 5 * 60 * 1000);
+
+  while (!acquireLock()) {
+    if (Date.now() > deadline) {
+      throw new Error('等待同步锁超时');
+    }
+    await new Promise(resolve => setTimeout(resolve, retryMs));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    releaseLock();
+  }
+}
+
 module.exports = {
   acquireLock,
   releaseLock,
-  isLocked
+  isLocked,
+  withLock
 };
@@ -0,0 +1,116 @@
+/**
+ * Sync Runs - Bounded history of sync runs
+ *
+ * `.sync_state.json` only keeps cumulative counters, so there was no way to
+ * see when the last failure happened or what it was. Every incremental sync,
+ * status check, manual sync job, processed callback, reconciliation and
+ * directory sync now records a run: start, duration, range, synced/skipped
+ * counts and errors (with sp_no).
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const MAX_RUNS_KEPT = 200;        // Oldest runs are dropped beyond this
+const MAX_ERRORS_PER_RUN = 50;
+
+const RUN_TYPES = ['incremental', 'status_check', 'manual', 'callback', 'reconciliation', 'directory'];
+
+/**
+ * Load runs from storage
+ * @returns {Object} { runs: [run] } (newest first)
+ */
+function loadRuns() {
+  let store;
+  try {
+    store = storage.readDocument('sync_runs');
+  } catch (error) {
+    console.error('❌ Failed to load sync runs:', error.message);
+    throw new Error('Failed to load sync runs');
+  }
+
+  return store || { runs: [] };
+}
+
+/**
+ * Begin a run (nothing is stored until it finishes)
+ * @param {string} type - One of RUN_TYPES
+ * @param {Object} [details] - { range: { start, end }, actor, spNo }
+ * @returns {Object} Run in progress, passed to finishRun
+ */
+function startRun(type, details = {}) {
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    startedAt: new Date().toISOString(),
+    range: details.range || null,
+    actor: details.actor || null,
+    spNo: details.spNo || null,
+  };
+}
+
+/**
+ * Finish a run and record it (never throws: history must not break a sync)
+ * @param {Object} run - Run returned by startRun
+ * @param {Object} result - { syncedCount, skippedCount, errors: [{ spNo, error }], error, skipped }
+ * @returns {Object} Recorded run
+ */
+function finishRun(run, result = {}) {
+  const finishedAt = new Date();
+  const errors = (result.errors || []).map(item => ({
+    spNo: item.spNo || item.sp_no || null,
+    error: item.error instanceof Error ? item.error.message : String(item.error),
+  }));
+
+  let status = 'success';
+  if (result.error) {
+    status = 'failed';
+  } else if (result.skipped) {
+    status = 'skipped';
+  } else if (errors.length > 0) {
+    status = 'partial';
+  }
+
+  const record = {
+    ...run,
+    status,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+    syncedCount: result.syncedCount || 0,
+    skippedCount: result.skippedCount || 0,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_ERRORS_PER_RUN),
+    error: result.error ? (result.error.message || String(result.error)) : null,
+  };
+
+  try {
+    const store = loadRuns();
+    store.runs = [record].concat(store.runs).slice(0, MAX_RUNS_KEPT);
+    storage.writeDocument('sync_runs', store);
+  } catch (error) {
+    console.error('Failed to save sync run:', error.message);
+  }
+
+  return record;
+}
+
+/**
+ * List recorded runs, newest first
+ * @param {Object} [options] - { type, status, limit }
+ * @returns {Array} Runs
+ */
+function listRuns(options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_RUNS_KEPT);
+
+  return loadRuns().runs
+    .filter(run => !options.type || run.type === options.type)
+    .filter(run => !options.status || run.status === options.status)
+    .slice(0, limit);
+}
+
+module.exports = {
+  startRun,
+  finishRun,
+  listRuns,
+  RUN_TYPES,
+};
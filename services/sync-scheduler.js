@@ -6,16 +6,18 @@
  */
 
 const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
 const wecomService = require('./wecom-service');
 const syncLock = require('./sync-lock');
-
-// Data file path
-const DATA_FILE = path.join(__dirname, '../leave_data.json');
-
-// Sync state file to track last sync timestamp
-const SYNC_STATE_FILE = path.join(__dirname, '../.sync_state.json');
+const approvalStore = require('./approval-store');
+const overtimeStore = require('./overtime-store');
+const availabilityStore = require('./availability-store');
+const storage = require('./storage');
+const leaveHistory = require('./leave-history');
+const leaveRecords = require('./leave-records');
+const syncRuns = require('./sync-runs');
+const templateRegistry = require('./template-registry');
+const departmentHistory = require('./department-history');
+const leaveDigest = require('./leave-digest');
 
 // Default: sync every 1 minute
 const SYNC_INTERVAL = process.env.SYNC_INTERVAL || '*/5 * * * *';
@@ -27,33 +29,79 @@ const AUTO_SYNC_ENABLED = process.env.AUTO_SYNC_ENABLED !== 'false';
 const STATUS_CHECK_INTERVAL = process.env.STATUS_CHECK_INTERVAL || '*/5 * * * *'; // Every 5 minutes
 const STATUS_CHECK_ENABLED = process.env.STATUS_CHECK_ENABLED !== 'false';
 
+// Approved leaves with upcoming dates are re-checked this often (minutes) for
+// post-approval revocation (通过后撤销)
+const APPROVED_CHECK_INTERVAL_MINUTES = parseInt(process.env.APPROVED_CHECK_INTERVAL_MINUTES || '60', 10);
+
+// "Who is out" digest to group robots (off unless DIGEST_ENABLED=true)
+const DIGEST_ENABLED = process.env.DIGEST_ENABLED === 'true';
+const DIGEST_INTERVAL = process.env.DIGEST_INTERVAL || '30 8 * * *'; // Every morning at 08:30
+
+// Incremental sync overlap: each cycle re-queries this many seconds before the
+// watermark, so approvals that show up late in getapprovalinfo are not missed
+const SYNC_OVERLAP_SECONDS = parseInt(process.env.SYNC_OVERLAP_SECONDS || '600', 10);
+
+// An sp_no whose detail keeps failing holds the watermark back; after this many
+// cycles it is given up on so the watermark can move again
+const MAX_DETAIL_ATTEMPTS = 5;
+
 let syncJob = null;
 let statusCheckJob = null;
+let digestJob = null;
 
 /**
- * Load leave data from disk
+ * Load leave data from storage
+ * Throws on unreadable data: falling back to an empty board here would let
+ * the next save overwrite the real data.
  */
 function loadLeaveData() {
+  let data;
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const data = fs.readFileSync(DATA_FILE, 'utf8');
-      return JSON.parse(data);
-    }
+    data = storage.readDocument('leave_data');
   } catch (error) {
-    console.error('Failed to load leave data:', error.message);
+    console.error('❌ Failed to load leave data:', error.message);
+    throw new Error('Failed to load leave data');
   }
-  return { leaveData: {}, employeeInfo: {}, updatedAt: new Date().toISOString() };
+  return data || { leaveData: {}, leaveTypes: {}, cellApprovals: {}, employeeInfo: {}, updatedAt: null };
 }
 
 /**
- * Save leave data to disk
+ * Save leave data to storage and record per-cell changes in the history
+ * Throws so that callers never report a sync as successful when nothing was persisted.
+ * The document's updatedAt is its edit version (ETag), so it is only bumped,
+ * and the document only written, when its content changed.
+ * @param {Object} data - Leave data document (updatedAt is set in place)
+ * @param {Object} [context] - Change context for the history ({ source, actor, spNo, approvals })
+ * @returns {boolean} Whether anything changed
  */
-function saveLeaveData(data) {
+function saveLeaveData(data, context) {
+  let before = null;
+  try {
+    before = storage.readDocument('leave_data');
+  } catch (error) {
+    console.warn('⚠️  Could not read previous leave data for history:', error.message);
+  }
+
+  if (before && leaveRecords.isSameContent(before, data)) {
+    data.updatedAt = before.updatedAt;
+    return false;
+  }
+  data.updatedAt = new Date().toISOString();
+
+  try {
+    storage.writeDocument('leave_data', data);
+  } catch (error) {
+    console.error('❌ Failed to save leave data:', error.message);
+    throw new Error('Failed to save data');
+  }
+
   try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
+    leaveHistory.recordChanges(before, data, context);
   } catch (error) {
-    console.error('Failed to save leave data:', error.message);
+    console.error('Failed to record leave history:', error.message);
   }
+
+  return true;
 }
 
 /**
@@ -63,20 +111,37 @@ function saveLeaveData(data) {
 function mergeLeaveData(existingData, wecomData) {
   const merged = {
     leaveData: { ...existingData.leaveData },
+    leaveTypes: { ...(existingData.leaveTypes || {}) },
+    cellApprovals: { ...(existingData.cellApprovals || {}) },
     employeeInfo: { ...existingData.employeeInfo },
+    updatedAt: existingData.updatedAt || null,
   };
 
   let newEmployees = 0;
   let updatedEmployees = 0;
 
   // Merge employee info (WeChat data wins) - now using userid as key
+  // A department change is recorded as a transfer effective today, so past
+  // leave stays with the previous department
   Object.keys(wecomData.employeeInfo).forEach(userid => {
-    if (!merged.employeeInfo[userid]) {
+    const existing = merged.employeeInfo[userid];
+    const incoming = wecomData.employeeInfo[userid];
+    if (!existing) {
       newEmployees++;
     } else {
       updatedEmployees++;
     }
-    merged.employeeInfo[userid] = wecomData.employeeInfo[userid];
+
+    // WeChat no longer knows the name/department of someone who left, so keep
+    // the ones recorded while they were employed
+    if (existing && incoming.employmentStatus === 'departed') {
+      merged.employeeInfo[userid] = { ...existing, employmentStatus: 'departed' };
+    } else {
+      merged.employeeInfo[userid] = departmentHistory.applyDepartment(existing, {
+        ...incoming,
+        employmentStatus: incoming.employmentStatus || (existing && existing.employmentStatus) || null,
+      });
+    }
   });
 
   // Merge leave data (WeChat data wins for conflicts) - now using userid as key
@@ -93,19 +158,34 @@ function mergeLeaveData(existingData, wecomData) {
     }
   });
 
-  merged.updatedAt = new Date().toISOString();
+  // Merge leave types (same keys as leaveData)
+  Object.keys(wecomData.leaveTypes || {}).forEach(userid => {
+    merged.leaveTypes[userid] = {
+      ...(merged.leaveTypes[userid] || {}),
+      ...wecomData.leaveTypes[userid],
+    };
+  });
+
+  // Persist approval records and re-derive the affected users' cells from them,
+  // so overlapping approvals resolve the same way regardless of arrival order
+  const records = approvalStore.recordApprovals(wecomData.approvals);
+  approvalStore.applyToLeaveData(merged, records.map(record => record.userid));
+
+  // Overtime and trip/outing approvals are stored apart and never touch leave cells
+  overtimeStore.recordOvertime(wecomData.overtime);
+  availabilityStore.recordAvailability(wecomData.availability);
 
   return { merged, stats: { newEmployees, updatedEmployees } };
 }
 
 /**
- * Load sync state from disk
+ * Load sync state from storage
  */
 function loadSyncState() {
   try {
-    if (fs.existsSync(SYNC_STATE_FILE)) {
-      const data = fs.readFileSync(SYNC_STATE_FILE, 'utf8');
-      return JSON.parse(data);
+    const state = storage.readDocument('sync_state');
+    if (state) {
+      return state;
     }
   } catch (error) {
     console.error('Failed to load sync state:', error.message);
@@ -118,16 +198,18 @@ function loadSyncState() {
     lastSyncTime: new Date(fallbackTimestamp * 1000).toISOString(),
     totalSynced: 0,
     successfulSyncs: 0,
-    failedSyncs: 0
+    failedSyncs: 0,
+    seenSpNos: {},
+    failedSpNos: {},
   };
 }
 
 /**
- * Save sync state to disk
+ * Save sync state to storage
  */
 function saveSyncState(state) {
   try {
-    fs.writeFileSync(SYNC_STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+    storage.writeDocument('sync_state', state);
   } catch (error) {
     console.error('Failed to save sync state:', error.message);
   }
@@ -144,6 +226,7 @@ async function performIncrementalSync() {
   }
 
   const syncStartTime = Date.now();
+  let run = null;
 
   try {
     console.log('\n🔄 Starting automatic incremental sync...');
@@ -151,8 +234,8 @@ async function performIncrementalSync() {
     // Load last sync state
     const syncState = loadSyncState();
 
-    // Use last sync end timestamp as start, current time as end
-    const startTimestamp = syncState.lastSyncEndTimestamp;
+    // Start a little before the watermark (overlap), end at current time
+    const startTimestamp = Math.max(0, syncState.lastSyncEndTimestamp - SYNC_OVERLAP_SECONDS);
     const endTimestamp = Math.floor(Date.now() / 1000); // Current Unix timestamp in seconds
 
     // If no new time has passed, skip
@@ -164,10 +247,15 @@ async function performIncrementalSync() {
     const minutesSinceLastSync = Math.floor((endTimestamp - startTimestamp) / 60);
     const startDate = new Date(startTimestamp * 1000).toISOString();
     const endDate = new Date(endTimestamp * 1000).toISOString();
-    console.log(`   📅 Syncing from ${startDate} to ${endDate} (${minutesSinceLastSync} minutes)`);
-
-    // Perform sync using precise timestamps
-    const wecomData = await wecomService.syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp);
+    console.log(`   📅 Syncing from ${startDate} to ${endDate} (${minutesSinceLastSync} minutes, ${SYNC_OVERLAP_SECONDS}s overlap)`);
+    run = syncRuns.startRun('incremental', { range: { start: startDate, end: endDate } });
+
+    // Perform sync using precise timestamps, skipping sp_no already synced
+    // inside the overlap
+    const seenSpNos = pruneSeenSpNos(syncState.seenSpNos, startTimestamp);
+    const wecomData = await wecomService.syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp, {
+      skipSpNos: new Set(Object.keys(seenSpNos)),
+    });
 
     // Load existing data
     const existingData = loadLeaveData();
@@ -176,7 +264,7 @@ async function performIncrementalSync() {
     const { merged, stats } = mergeLeaveData(existingData, wecomData);
 
     // Save merged data
-    saveLeaveData(merged);
+    saveLeaveData(merged, { source: 'incremental_sync', approvals: wecomData.approvals });
 
     // Update active approvals list with new pending records
     const activeApprovalManager = require('./active-approvals');
@@ -185,52 +273,71 @@ async function performIncrementalSync() {
     const cutoffTimestamp = activeApprovalManager.CUTOFF_TIMESTAMP;
 
     let newPendingCount = 0;
+    let newWatchedCount = 0;
 
-    // Scan the raw details for pending approvals
+    // Scan the raw details for pending approvals (and approved ones still ahead)
     if (wecomData.rawDetails && wecomData.rawDetails.length > 0) {
       for (const detail of wecomData.rawDetails) {
         const sp_no = detail.sp_no;
         const status = detail.sp_status;
         const apply_time = detail.apply_time;
 
-        // Check if this should be added to active list
+        // Only leave requests (registered leave templates) after 2026-01-01 that are not already tracked
         if (
-          status === 1 &&                    // Pending
-          apply_time >= cutoffTimestamp &&   // After 2026-01-01
-          detail.sp_name === '请假' &&       // Leave request
-          !activeApprovals[sp_no]            // Not already tracked
+          (status !== 1 && status !== 2) ||
+          apply_time < cutoffTimestamp ||
+          templateRegistry.matchTemplate(detail.template_id, detail.sp_name)?.category !== 'leave' ||
+          activeApprovals[sp_no] ||
+          activeData.watched[sp_no]
         ) {
-          // Get transformed data (already done in wecomData)
-          // Find the corresponding transformed data
-          const userid = detail.applier?.userid || detail.applyer?.userid;
-          if (userid && wecomData.employeeInfo[userid]) {
-            // Use spDateKeysMap for this specific approval's dates only
-            // NOT the merged leaveData which contains dates from ALL approvals
-            const approvalDateKeys = (wecomData.spDateKeysMap && wecomData.spDateKeysMap[sp_no]) || [];
-            activeApprovals[sp_no] = {
-              sp_no,
-              userid,
-              name: wecomData.employeeInfo[userid].name,
-              department: wecomData.employeeInfo[userid].department,
-              apply_time,
-              submit_time: new Date(apply_time * 1000).toISOString(),
-              current_status: status,
-              status_text: '审批中',
-              leave_dates: approvalDateKeys,
-              last_checked: endTimestamp,
-              last_checked_time: new Date(endTimestamp * 1000).toISOString(),
-            };
-            newPendingCount++;
-          }
+          continue;
+        }
+
+        // Get transformed data (already done in wecomData)
+        // Find the corresponding transformed data
+        const userid = detail.applier?.userid || detail.applyer?.userid;
+        if (!userid || !wecomData.employeeInfo[userid]) {
+          continue;
+        }
+
+        // Use spDateKeysMap for this specific approval's dates only
+        // NOT the merged leaveData which contains dates from ALL approvals
+        const approvalDateKeys = (wecomData.spDateKeysMap && wecomData.spDateKeysMap[sp_no]) || [];
+        const approval = (wecomData.approvals || []).find(item => item.spNo === sp_no);
+        const entry = {
+          sp_no,
+          userid,
+          name: wecomData.employeeInfo[userid].name,
+          department: wecomData.employeeInfo[userid].department,
+          apply_time,
+          submit_time: new Date(apply_time * 1000).toISOString(),
+          current_status: status,
+          status_text: '审批中',
+          leave_dates: approvalDateKeys,
+          leave_type: approval?.leaveType || null,
+          last_checked: endTimestamp,
+          last_checked_time: new Date(endTimestamp * 1000).toISOString(),
+        };
+
+        if (status === 1) {
+          activeApprovals[sp_no] = entry;
+          newPendingCount++;
+        } else if (activeApprovalManager.watchApproved(activeData, entry)) {
+          newWatchedCount++;
         }
       }
     }
 
-    if (newPendingCount > 0) {
+    if (newPendingCount > 0 || newWatchedCount > 0) {
       activeData.approvals = activeApprovals;
       activeApprovalManager.saveActiveApprovals(activeData);
+    }
+    if (newPendingCount > 0) {
       console.log(`   ➕ Added ${newPendingCount} new pending approval(s) to active list`);
     }
+    if (newWatchedCount > 0) {
+      console.log(`   👀 Watching ${newWatchedCount} approved upcoming leave(s) for revocation`);
+    }
 
     console.log(`   📌 Active approvals: ${Object.keys(activeApprovals).length} total`);
 
@@ -240,15 +347,28 @@ async function performIncrementalSync() {
     console.log(`   📊 Synced: ${wecomData.syncedCount} records`);
     console.log(`   👥 Employees: ${wecomData.newEmployees} (${stats.newEmployees} new, ${stats.updatedEmployees} updated)`);
     console.log(`   ⏭️  Skipped: ${wecomData.skippedCount} records`);
+    if (wecomData.duplicateCount > 0) {
+      console.log(`   ♻️  Already synced (overlap): ${wecomData.duplicateCount} records`);
+    }
 
-    // Update sync state - use current end timestamp as the new lastSyncEndTimestamp
-    syncState.lastSyncEndTimestamp = endTimestamp;
-    syncState.lastSyncTime = new Date(endTimestamp * 1000).toISOString();
+    // Update sync state - advance the watermark only past fully successful chunks
+    const watermark = advanceWatermark(syncState, wecomData, seenSpNos, endTimestamp);
+    if (watermark < endTimestamp) {
+      const heldAt = new Date(watermark * 1000).toISOString();
+      console.warn(`   ⚠️  Watermark held at ${heldAt} (incomplete chunk will be retried next cycle)`);
+    }
+    syncState.lastSyncEndTimestamp = watermark;
+    syncState.lastSyncTime = new Date(watermark * 1000).toISOString();
     syncState.totalSynced += wecomData.syncedCount;
     syncState.successfulSyncs += 1;
     saveSyncState(syncState);
+
+    syncRuns.finishRun(run, wecomData);
   } catch (error) {
     console.error('❌ Incremental sync error:', error.message);
+    if (run) {
+      syncRuns.finishRun(run, { error });
+    }
 
     // Update failed sync count
     const syncState = loadSyncState();
@@ -260,116 +380,369 @@ async function performIncrementalSync() {
   }
 }
 
+/**
+ * Drop seen sp_no that can no longer show up in a window starting at
+ * windowStart (an sp_no is listed by apply_time, which is never later than
+ * the cycle that first saw it)
+ * @param {Object} seenSpNos - { [sp_no]: seenAt (Unix seconds) }
+ * @param {number} windowStart - Start of the next query window (Unix seconds)
+ * @returns {Object} Pruned map
+ */
+function pruneSeenSpNos(seenSpNos, windowStart) {
+  const pruned = {};
+  for (const [spNo, seenAt] of Object.entries(seenSpNos || {})) {
+    if (seenAt >= windowStart) {
+      pruned[spNo] = seenAt;
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Work out how far the watermark may advance after a cycle and record which
+ * sp_no were synced (mutates syncState.seenSpNos / failedSpNos)
+ *
+ * Chunks are walked in order; the watermark stops at the end of the last chunk
+ * whose list and every detail were fetched. A detail that keeps failing is
+ * given up on after MAX_DETAIL_ATTEMPTS cycles.
+ * @param {Object} syncState - Sync state
+ * @param {Object} wecomData - Result of syncLeaveApprovalsByTimestamp
+ * @param {Object} seenSpNos - Pruned seen map used for this cycle
+ * @param {number} endTimestamp - End of this cycle's window
+ * @returns {number} New watermark (Unix seconds)
+ */
+function advanceWatermark(syncState, wecomData, seenSpNos, endTimestamp) {
+  const failedSpNos = { ...(syncState.failedSpNos || {}) };
+  const blocking = new Set();
+
+  for (const { spNo } of wecomData.errors || []) {
+    const attempts = (failedSpNos[spNo] || 0) + 1;
+    if (attempts >= MAX_DETAIL_ATTEMPTS) {
+      console.warn(`   ⚠️  Giving up on ${spNo} after ${attempts} failed attempts`);
+      delete failedSpNos[spNo];
+    } else {
+      failedSpNos[spNo] = attempts;
+      blocking.add(spNo);
+    }
+  }
+
+  let watermark = syncState.lastSyncEndTimestamp;
+  let complete = true;
+
+  for (const chunk of wecomData.chunks || []) {
+    for (const spNo of chunk.spNos) {
+      if (!blocking.has(spNo)) {
+        seenSpNos[spNo] = seenSpNos[spNo] || endTimestamp;
+        delete failedSpNos[spNo];
+      }
+    }
+    if (complete && chunk.spNos.some(spNo => blocking.has(spNo))) {
+      complete = false;
+    }
+    if (complete) {
+      watermark = Math.max(watermark, chunk.end);
+    }
+  }
+
+  syncState.seenSpNos = seenSpNos;
+  syncState.failedSpNos = failedSpNos;
+  return watermark;
+}
+
+/**
+ * Check if the approved-leave tier is due (it is checked on a slower cadence)
+ */
+function isApprovedCheckDue(activeData) {
+  const lastCheck = (activeData.metadata && activeData.metadata.lastApprovedCheck) || 0;
+  return Math.floor(Date.now() / 1000) - lastCheck >= APPROVED_CHECK_INTERVAL_MINUTES * 60;
+}
+
 /**
  * Check status of existing active approvals
- * Detects status changes (审批中 → 已通过/已驳回)
+ * Detects status changes (审批中 → 已通过/已驳回) of pending leave, overtime
+ * and trips/outings, and on a slower cadence re-checks approved leaves that are still
+ * ahead (已通过 → 通过后撤销)
+ *
+ * Details are fetched without the sync lock; the active list and leave_data
+ * are then reloaded and updated under it, so a callback or sync applied in
+ * the meantime is neither overwritten nor undone.
  */
 async function performStatusCheckSync() {
   console.log('\n🔍 Starting status check sync for active approvals...');
 
   const syncStartTime = Date.now();
+  let run = null;
 
   try {
-    // 1. Load active approvals
+    // 1. Load active approvals (and watched approved leaves, when due)
     const activeApprovalManager = require('./active-approvals');
-    const activeData = activeApprovalManager.loadActiveApprovals();
-    const activeApprovals = activeData.approvals || {};
-    const activeCount = Object.keys(activeApprovals).length;
-
-    if (activeCount === 0) {
+    const snapshot = activeApprovalManager.loadActiveApprovals();
+    const approvedCheckDue = isApprovedCheckDue(snapshot);
+    const activeSpNos = Object.keys(snapshot.approvals || {});
+    // Leaves that are over can no longer be revoked in a way that matters
+    const watchedSpNos = approvedCheckDue
+      ? Object.values(snapshot.watched)
+        .filter(entry => activeApprovalManager.hasUpcomingDates(entry.leave_dates))
+        .map(entry => entry.sp_no)
+      : [];
+    // Pending overtime and trips/outings live in their own stores rather than the active list
+    const overtimeSpNos = overtimeStore.listPendingOvertime(activeApprovalManager.CUTOFF_TIMESTAMP)
+      .map(record => record.sp_no);
+    const availabilitySpNos = availabilityStore.listPendingAvailability(activeApprovalManager.CUTOFF_TIMESTAMP)
+      .map(record => record.sp_no);
+    const otherSpNos = overtimeSpNos.concat(availabilitySpNos);
+
+    if (activeSpNos.length === 0 && watchedSpNos.length === 0 && otherSpNos.length === 0) {
+      if (approvedCheckDue) {
+        await syncLock.withLock(() => {
+          const activeData = activeApprovalManager.loadActiveApprovals();
+          expireWatched(activeApprovalManager, activeData);
+          activeApprovalManager.saveActiveApprovals(activeData);
+        });
+      }
       console.log('   ℹ️  No active approvals to check');
       return;
     }
 
-    console.log(`   📋 Checking ${activeCount} active approvals...`);
+    console.log(`   📋 Checking ${activeSpNos.length} active approvals...`);
+    if (watchedSpNos.length > 0) {
+      console.log(`   👀 Checking ${watchedSpNos.length} approved upcoming leaves...`);
+    }
+    if (overtimeSpNos.length > 0) {
+      console.log(`   ⏱️  Checking ${overtimeSpNos.length} pending overtime approvals...`);
+    }
+    if (availabilitySpNos.length > 0) {
+      console.log(`   🧳 Checking ${availabilitySpNos.length} pending trip/outing approvals...`);
+    }
+    run = syncRuns.startRun('status_check');
 
     // 2. Get access token
     const accessToken = await wecomService.getAccessToken();
 
-    // 3. Re-fetch details for all active sp_no
-    const spNoList = Object.keys(activeApprovals);
+    // 3. Re-fetch details for all active and watched sp_no
     const { details, errors } = await wecomService.fetchApprovalDetailsForStatusCheck(
       accessToken,
-      spNoList
+      activeSpNos.concat(watchedSpNos, otherSpNos)
     );
 
-    // 4. Check each detail for status changes
-    const statusChanges = [];
-    let removed = 0;
-    let stillActive = 0;
-    const nowTimestamp = Math.floor(Date.now() / 1000);
-
-    details.forEach(detail => {
-      const sp_no = detail.sp_no;
-      const oldStatus = activeApprovals[sp_no].current_status;
-      const newStatus = detail.sp_status;
+    const leaveDetails = details.filter(detail => !otherSpNos.includes(detail.sp_no));
+    const result = await syncLock.withLock(() => {
+      const counts = applyStatusCheck(activeApprovalManager, leaveDetails, approvedCheckDue);
+      counts.statusChanges += applyPendingStatusChanges(
+        details.filter(detail => overtimeSpNos.includes(detail.sp_no)),
+        {
+          listPending: overtimeStore.listPendingOvertime,
+          updateStatus: overtimeStore.updateOvertimeStatus,
+          label: '加班',
+        }
+      );
+      counts.statusChanges += applyPendingStatusChanges(
+        details.filter(detail => availabilitySpNos.includes(detail.sp_no)),
+        {
+          listPending: availabilityStore.listPendingAvailability,
+          updateStatus: availabilityStore.updateAvailabilityStatus,
+          label: '出差/外出',
+        }
+      );
+      return counts;
+    });
 
-      if (newStatus !== oldStatus) {
-        // Status changed!
-        const oldStatusText = activeApprovalManager.getStatusText(oldStatus);
-        const newStatusText = activeApprovalManager.getStatusText(newStatus);
+    const syncDuration = ((Date.now() - syncStartTime) / 1000).toFixed(1);
 
-        statusChanges.push({
-          sp_no,
-          userid: activeApprovals[sp_no].userid,
-          name: activeApprovals[sp_no].name,
-          leave_dates: activeApprovals[sp_no].leave_dates,
-          oldStatus: oldStatusText,
-          newStatus: newStatusText,
-          newStatusCode: newStatus,
-        });
+    console.log(`✅ Status check completed in ${syncDuration}s`);
+    console.log(`   Still active: ${result.stillActive}`);
+    console.log(`   Finalized (removed): ${result.removed}`);
+    console.log(`   Status changes: ${result.statusChanges}`);
+    console.log(`   Total active: ${result.totalActive}`);
+    console.log(`   Watched approved: ${result.totalWatched} (${result.watchedAdded} added, ${result.watchedExpired} expired)`);
+
+    syncRuns.finishRun(run, {
+      syncedCount: result.statusChanges,
+      skippedCount: details.length - result.statusChanges,
+      errors,
+    });
+  } catch (error) {
+    console.error('❌ Status check sync error:', error.message);
+    if (run) {
+      syncRuns.finishRun(run, { error });
+    }
+  }
+}
 
-        console.log(`      ✨ ${activeApprovals[sp_no].name}: ${oldStatusText} → ${newStatusText}`);
-      }
+/**
+ * Record the new status of pending approvals kept outside the active list
+ * (caller must hold sync lock)
+ * Approvals no longer pending in the store (updated by a callback meanwhile)
+ * are skipped.
+ * @param {Array<Object>} details - Re-fetched details of approvals pending when listed
+ * @param {Object} store - { listPending(since), updateStatus(spNo, statusCode, statusText), label }
+ * @returns {number} Number of approvals whose status changed
+ */
+function applyPendingStatusChanges(details, store) {
+  const { updateStatus, label } = store;
+  const pending = new Set(store.listPending().map(record => record.sp_no));
+  let changed = 0;
 
-      // Update or remove based on new status
-      if (activeApprovalManager.shouldRemoveFromActive(newStatus)) {
-        delete activeApprovals[sp_no];
-        removed++;
-      } else {
-        // Still active, update last_checked
-        activeApprovals[sp_no].current_status = newStatus;
-        activeApprovals[sp_no].status_text = activeApprovalManager.getStatusText(newStatus);
-        activeApprovals[sp_no].last_checked = nowTimestamp;
-        activeApprovals[sp_no].last_checked_time = new Date().toISOString();
-        stillActive++;
-      }
-    });
+  details.forEach(detail => {
+    if (detail.sp_status === 1 || !pending.has(detail.sp_no)) {
+      return;
+    }
+    const statusText = wecomService.getStatusText(detail.sp_status);
+    const record = statusText && updateStatus(detail.sp_no, detail.sp_status, statusText);
+    if (record) {
+      console.log(`      ✨ ${record.name} (${label}): 审批中 → ${statusText}`);
+      changed++;
+    }
+  });
 
-    // 5. Update leave_data.json if status changes detected
-    if (statusChanges.length > 0) {
-      console.log(`   💾 Updating leave_data.json with ${statusChanges.length} status changes...`);
+  return changed;
+}
 
-      const existingData = loadLeaveData();
+/**
+ * Stop watching approved leaves that are over and record the approved check
+ * @returns {number} Number of leaves no longer watched
+ */
+function expireWatched(activeApprovalManager, activeData) {
+  let expired = 0;
+  Object.values(activeData.watched).forEach(entry => {
+    if (!activeApprovalManager.hasUpcomingDates(entry.leave_dates)) {
+      activeApprovalManager.unwatch(activeData, entry.sp_no);
+      expired++;
+    }
+  });
+  activeData.metadata.lastApprovedCheck = Math.floor(Date.now() / 1000);
+  return expired;
+}
 
-      // Update each changed status
-      statusChanges.forEach(change => {
-        if (existingData.leaveData[change.userid]) {
-          change.leave_dates.forEach(dateKey => {
-            existingData.leaveData[change.userid][dateKey] = change.newStatus;
-          });
-        }
+/**
+ * Apply re-fetched details to the active list and leave_data (caller must hold sync lock)
+ * Approvals no longer tracked (handled by a callback meanwhile) are skipped.
+ * @returns {Object} Counters for the summary log
+ */
+function applyStatusCheck(activeApprovalManager, details, approvedCheckDue) {
+  const activeData = activeApprovalManager.loadActiveApprovals();
+  const activeApprovals = activeData.approvals || {};
+  const nowTimestamp = Math.floor(Date.now() / 1000);
+  const watchedExpired = approvedCheckDue ? expireWatched(activeApprovalManager, activeData) : 0;
+  const watched = approvedCheckDue ? activeData.watched : {};
+
+  // 4. Check each detail for status changes and revised dates
+  const statusChanges = [];
+  let removed = 0;
+  let stillActive = 0;
+  let watchedAdded = 0;
+
+  details.forEach(detail => {
+    const sp_no = detail.sp_no;
+    const isWatched = !activeApprovals[sp_no];
+    const tracked = isWatched ? watched[sp_no] : activeApprovals[sp_no];
+    if (!tracked) {
+      return;
+    }
+    const oldStatus = tracked.current_status;
+    const newStatus = detail.sp_status;
+
+    // Dates as they are now (the approval may have been edited since it was tracked)
+    const oldDates = tracked.leave_dates || [];
+    const currentDates = wecomService.extractDateKeys(detail) || oldDates;
+    const datesRevised = currentDates.length > 0 &&
+      (currentDates.length !== oldDates.length || currentDates.some(dateKey => !oldDates.includes(dateKey)));
+
+    if (newStatus !== oldStatus || datesRevised) {
+      // Status changed!
+      const oldStatusText = activeApprovalManager.getStatusText(oldStatus);
+      const newStatusText = activeApprovalManager.getStatusText(newStatus);
+
+      statusChanges.push({
+        sp_no,
+        userid: tracked.userid,
+        name: tracked.name,
+        department: tracked.department,
+        apply_time: tracked.apply_time,
+        leave_dates: datesRevised ? currentDates : oldDates,
+        // Keep the old dates too, so the history can attribute removed cells
+        removed_dates: oldDates.filter(dateKey => !currentDates.includes(dateKey)),
+        leave_type: tracked.leave_type,
+        oldStatus: oldStatusText,
+        newStatus: newStatusText,
+        newStatusCode: newStatus,
       });
 
-      existingData.updatedAt = new Date().toISOString();
-      saveLeaveData(existingData);
+      if (newStatus !== oldStatus) {
+        console.log(`      ✨ ${tracked.name}: ${oldStatusText} → ${newStatusText}`);
+      }
+      if (datesRevised) {
+        console.log(`      📆 ${tracked.name}: dates revised (${oldDates.length} → ${currentDates.length})`);
+      }
     }
 
-    // 6. Save updated active approvals list
-    activeData.approvals = activeApprovals;
-    activeApprovalManager.saveActiveApprovals(activeData);
+    if (isWatched) {
+      // Keep watching while still approved and ahead; otherwise drop it
+      if (newStatus !== 2 || !activeApprovalManager.watchApproved(activeData, { ...tracked, leave_dates: currentDates })) {
+        activeApprovalManager.unwatch(activeData, sp_no);
+      }
+      return;
+    }
 
-    const syncDuration = ((Date.now() - syncStartTime) / 1000).toFixed(1);
+    // Update or remove based on new status
+    if (activeApprovalManager.shouldRemoveFromActive(newStatus)) {
+      delete activeApprovals[sp_no];
+      removed++;
 
-    console.log(`✅ Status check completed in ${syncDuration}s`);
-    console.log(`   Still active: ${stillActive}`);
-    console.log(`   Finalized (removed): ${removed}`);
-    console.log(`   Status changes: ${statusChanges.length}`);
-    console.log(`   Total active: ${Object.keys(activeApprovals).length}`);
+      // Approved leaves still ahead move to the watched tier
+      if (newStatus === 2 && activeApprovalManager.watchApproved(activeData, { ...tracked, leave_dates: currentDates })) {
+        watchedAdded++;
+      }
+    } else {
+      // Still active, update last_checked
+      activeApprovals[sp_no].current_status = newStatus;
+      activeApprovals[sp_no].leave_dates = currentDates;
+      activeApprovals[sp_no].status_text = activeApprovalManager.getStatusText(newStatus);
+      activeApprovals[sp_no].last_checked = nowTimestamp;
+      activeApprovals[sp_no].last_checked_time = new Date().toISOString();
+      stillActive++;
+    }
+  });
 
-  } catch (error) {
-    console.error('❌ Status check sync error:', error.message);
+  // 5. Update leave_data.json if status changes detected
+  if (statusChanges.length > 0) {
+    console.log(`   💾 Updating leave_data.json with ${statusChanges.length} status changes...`);
+
+    const existingData = loadLeaveData();
+
+    // Update each changed approval record (status and current dates),
+    // then re-derive its user's cells so dates it no longer covers are removed
+    statusChanges.forEach(change => {
+      const record = approvalStore.updateApprovalStatus(change.sp_no, change.newStatusCode, change.newStatus, {
+        userid: change.userid,
+        name: change.name,
+        department: change.department,
+        applyTime: change.apply_time,
+        dateKeys: change.leave_dates,
+        leaveType: change.leave_type,
+      });
+      approvalStore.reviseApprovalDates(change.sp_no, change.leave_dates);
+      if (record && existingData.leaveData[change.userid]) {
+        approvalStore.applyToLeaveData(existingData, [change.userid]);
+      }
+    });
+
+    saveLeaveData(existingData, { source: 'status_check', approvals: statusChanges });
   }
+
+  // 6. Save updated active approvals list
+  activeData.approvals = activeApprovals;
+  activeApprovalManager.saveActiveApprovals(activeData);
+
+  return {
+    stillActive,
+    removed,
+    statusChanges: statusChanges.length,
+    totalActive: Object.keys(activeApprovals).length,
+    totalWatched: Object.keys(activeData.watched).length,
+    watchedAdded,
+    watchedExpired,
+  };
 }
 
 /**
@@ -388,7 +761,7 @@ function startScheduler() {
 
   console.log(`\n🕐 Starting sync scheduler...`);
   console.log(`   ⏰ Interval: ${SYNC_INTERVAL} (every 5 minutes)`);
-  console.log(`   📁 State file: ${SYNC_STATE_FILE}`);
+  console.log(`   📁 Storage: ${storage.getStorage().describe()}`);
 
   // Create cron job
   syncJob = cron.schedule(SYNC_INTERVAL, async () => {
@@ -461,6 +834,46 @@ function stopStatusCheckScheduler() {
   }
 }
 
+/**
+ * Start the leave digest scheduler
+ * The job runs every day; leaveDigest skips 休 days itself.
+ */
+function startDigestScheduler() {
+  if (!DIGEST_ENABLED) {
+    console.log('ℹ️  Leave digest is disabled (set DIGEST_ENABLED=true to enable)');
+    return;
+  }
+
+  if (digestJob) {
+    console.log('⚠️  Digest scheduler already running');
+    return;
+  }
+
+  console.log(`\n📨 Starting leave digest scheduler...`);
+  console.log(`   ⏰ Interval: ${DIGEST_INTERVAL}`);
+
+  digestJob = cron.schedule(DIGEST_INTERVAL, async () => {
+    try {
+      await leaveDigest.sendDigest();
+    } catch (error) {
+      console.error('❌ Leave digest failed:', error.message);
+    }
+  });
+
+  console.log('✅ Digest scheduler started successfully');
+}
+
+/**
+ * Stop the leave digest scheduler
+ */
+function stopDigestScheduler() {
+  if (digestJob) {
+    digestJob.stop();
+    digestJob = null;
+    console.log('🛑 Digest scheduler stopped');
+  }
+}
+
 /**
  * Get current sync status
  */
@@ -471,6 +884,7 @@ function getSyncStatus() {
     running: syncJob !== null,
     syncing: syncLock.isLocked(),
     interval: SYNC_INTERVAL,
+    overlapSeconds: SYNC_OVERLAP_SECONDS,
     lastSyncEndTimestamp: syncState.lastSyncEndTimestamp,
     lastSyncTime: syncState.lastSyncTime,
     stats: {
@@ -491,7 +905,9 @@ function resetSyncState() {
     lastSyncTime: new Date(fallbackTimestamp * 1000).toISOString(),
     totalSynced: 0,
     successfulSyncs: 0,
-    failedSyncs: 0
+    failedSyncs: 0,
+    seenSpNos: {},
+    failedSpNos: {},
   };
   saveSyncState(state);
   console.log('🔄 Sync state reset to 2026-01-01');
@@ -503,6 +919,8 @@ module.exports = {
   stopScheduler,
   startStatusCheckScheduler,
   stopStatusCheckScheduler,
+  startDigestScheduler,
+  stopDigestScheduler,
   getSyncStatus,
   resetSyncState,
   performIncrementalSync,
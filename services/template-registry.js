@@ -0,0 +1,183 @@
+/**
+ * Template Registry - Which approval templates the board cares about
+ *
+ * Relevance used to be decided by `sp_name === '请假'`, which misses leave
+ * templates with other names. The registry maps template IDs (and optionally
+ * names) to a category and a parsing rule, and is used by the approval list
+ * filter, the detail transform and the callback early-exit filter.
+ *
+ * Configured in approval-templates.json (APPROVAL_TEMPLATES_FILE), e.g.
+ *   { "templates": [
+ *       { "templateId": "3WLJF6naF...", "name": "请假", "category": "leave" },
+ *       { "name": "年假申请", "category": "leave", "parser": "vacation" },
+ *       { "name": "加班", "category": "overtime" },
+ *       { "name": "出差", "category": "trip" }
+ *   ] }
+ * Without the file, the WECOM_<CATEGORY>_TEMPLATE_ID variables
+ * (comma-separated) are used, and without those, any template with the
+ * category's default name ("请假", "加班", "出差", "外出").
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TEMPLATES_FILE = path.resolve(ROOT_DIR, process.env.APPROVAL_TEMPLATES_FILE || 'approval-templates.json');
+
+// Category → getapprovalinfo record_type (1 请假, 3 出差, 4 外出, 5 加班) and
+// default parsing rule
+const CATEGORIES = {
+  leave: { recordType: 1, parser: 'vacation' },
+  overtime: { recordType: 5, parser: 'overtime' },
+  trip: { recordType: 3, parser: 'attendance' },
+  outing: { recordType: 4, parser: 'attendance' },
+};
+
+// Category → env var with its template IDs, and template name used without it
+const DEFAULT_TEMPLATES = {
+  leave: { env: 'WECOM_LEAVE_TEMPLATE_ID', name: '请假' },
+  overtime: { env: 'WECOM_OVERTIME_TEMPLATE_ID', name: '加班' },
+  trip: { env: 'WECOM_TRIP_TEMPLATE_ID', name: '出差' },
+  outing: { env: 'WECOM_OUTING_TEMPLATE_ID', name: '外出' },
+};
+
+let templates = null;
+
+/**
+ * Load and validate the registry (invalid entries are logged and skipped)
+ * @returns {Array<Object>} Entries { templateId, name, category, parser }
+ */
+function loadTemplates() {
+  let entries;
+
+  if (fs.existsSync(TEMPLATES_FILE)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+      entries = Array.isArray(config) ? config : config.templates;
+      if (!Array.isArray(entries)) {
+        throw new Error('expected a "templates" array');
+      }
+    } catch (error) {
+      console.error(`❌ Invalid approval template registry ${TEMPLATES_FILE}: ${error.message}`);
+      entries = [];
+    }
+  } else {
+    entries = [];
+    Object.entries(DEFAULT_TEMPLATES).forEach(([category, { env, name }]) => {
+      const ids = (process.env[env] || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (ids.length > 0) {
+        ids.forEach(templateId => entries.push({ templateId, category }));
+      } else {
+        entries.push({ name, category });
+      }
+    });
+  }
+
+  return entries
+    .filter(entry => {
+      if (!entry || (!entry.templateId && !entry.name)) {
+        console.warn('⚠️  Approval template entry needs a templateId or a name, skipped:', entry);
+        return false;
+      }
+      if (!CATEGORIES[entry.category]) {
+        console.warn(`⚠️  Unknown approval template category "${entry.category}", skipped`);
+        return false;
+      }
+      return true;
+    })
+    .map(entry => ({
+      templateId: entry.templateId || null,
+      name: entry.name || null,
+      category: entry.category,
+      parser: entry.parser || CATEGORIES[entry.category].parser,
+    }));
+}
+
+/**
+ * Get the registry (loaded once)
+ */
+function getTemplates() {
+  if (!templates) {
+    templates = loadTemplates();
+    const described = templates.map(entry => entry.templateId || `"${entry.name}"`).join(', ');
+    console.log(`🗂️  Approval templates: ${described || '(none)'}`);
+  }
+  return templates;
+}
+
+/**
+ * Find the registry entry for an approval
+ * Template ID wins; entries without an ID match by name.
+ * @param {string|null} templateId - template_id / TemplateId
+ * @param {string|null} spName - sp_name / SpName
+ * @returns {Object|null} Entry, or null if the approval is not relevant
+ */
+function matchTemplate(templateId, spName) {
+  const entries = getTemplates();
+
+  if (templateId) {
+    const byId = entries.find(entry => entry.templateId === templateId);
+    if (byId) {
+      return byId;
+    }
+  }
+
+  if (spName) {
+    return entries.find(entry => entry.name === spName && (!entry.templateId || !templateId)) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Check if an approval is relevant; unknown fields are given the benefit of
+ * the doubt (the detail transform has the final say)
+ * @param {string|null} templateId - Template ID, if known
+ * @param {string|null} spName - Approval name, if known
+ * @returns {boolean} True if relevant or undecidable
+ */
+function isRelevant(templateId, spName) {
+  if ((!templateId && !spName) || matchTemplate(templateId, spName)) {
+    return true;
+  }
+
+  // Without a template ID, entries known only by ID cannot be ruled out
+  return !templateId && getTemplates().some(entry => !entry.name);
+}
+
+/**
+ * Filter sets for getapprovalinfo, one list query per set
+ * Entries known only by name need a record_type query for their category;
+ * otherwise each template is queried by ID.
+ * @returns {Array<Array<Object>>} Filter arrays
+ */
+function getListFilters() {
+  const entries = getTemplates();
+  const queries = [];
+
+  Object.entries(CATEGORIES).forEach(([category, { recordType }]) => {
+    const inCategory = entries.filter(entry => entry.category === category);
+    if (inCategory.length === 0) {
+      return;
+    }
+
+    if (inCategory.some(entry => !entry.templateId)) {
+      queries.push([{ key: 'record_type', value: recordType }]);
+      return;
+    }
+
+    inCategory.forEach(entry => {
+      queries.push([{ key: 'template_id', value: entry.templateId }]);
+    });
+  });
+
+  return queries;
+}
+
+module.exports = {
+  getTemplates,
+  matchTemplate,
+  isRelevant,
+  getListFilters,
+  CATEGORIES,
+};
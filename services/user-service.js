@@ -1,11 +1,23 @@
-const fs = require('fs');
-const path = require('path');
+const storage = require('./storage');
+
+// Comma-separated userids allowed to use admin endpoints (e.g. bulk import)
+const ADMIN_USERIDS = (process.env.ADMIN_USERIDS || '')
+  .split(',')
+  .map(userid => userid.trim())
+  .filter(Boolean);
 
 // ============================================
 // User Profile Management
 // ============================================
 
-const USERS_FILE = path.join(__dirname, '..', 'users.json');
+/**
+ * Get the role of a user
+ * @param {string} userid - User ID
+ * @returns {string} 'admin' if listed in ADMIN_USERIDS, otherwise 'normal_user'
+ */
+function getUserRole(userid) {
+  return ADMIN_USERIDS.includes(userid) ? 'admin' : 'normal_user';
+}
 
 /**
  * Create or update user profile
@@ -21,7 +33,7 @@ function createOrUpdateUser(userid, name, department) {
     userid,
     name,
     department,
-    role: 'normal_user', // All users have the same role
+    role: getUserRole(userid),
     updatedAt: new Date().toISOString()
   };
 
@@ -30,33 +42,31 @@ function createOrUpdateUser(userid, name, department) {
 }
 
 // ============================================
-// File Persistence
+// Persistence
 // ============================================
 
 /**
- * Load users from JSON file
+ * Load users from storage
+ * Throws on unreadable data: falling back to no users here would let the
+ * next save overwrite every profile.
  * @returns {object} Users object
  */
 function loadUsers() {
   try {
-    if (!fs.existsSync(USERS_FILE)) {
-      return {};
-    }
-    const data = fs.readFileSync(USERS_FILE, 'utf8');
-    return JSON.parse(data);
+    return storage.readDocument('users') || {};
   } catch (error) {
     console.error('[USER] Error loading users:', error);
-    return {};
+    throw new Error('Failed to load users');
   }
 }
 
 /**
- * Save users to JSON file
+ * Save users to storage
  * @param {object} users - Users object to save
  */
 function saveUsers(users) {
   try {
-    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+    storage.writeDocument('users', users);
   } catch (error) {
     console.error('[USER] Error saving users:', error);
     throw error;
@@ -69,4 +79,5 @@ function saveUsers(users) {
 
 module.exports = {
   createOrUpdateUser,
+  getUserRole,
 };
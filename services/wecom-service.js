@@ -7,6 +7,7 @@
 
 require('dotenv').config({ path: '.env.local' });
 const axios = require('axios');
+const templateRegistry = require('./template-registry');
 
 // Temporarily disable proxy for WeChat Work API
 const originalNoProxy = process.env.NO_PROXY || process.env.no_proxy || '';
@@ -185,55 +186,19 @@ async function fetchApprovalListByTimestamp(accessToken, startTimestamp, endTime
   console.log(`   🕐 Unix timestamps: ${startTime} → ${endTime}`);
 
   try {
-    // Fetch all pages (WeChat Work API returns max 100 records per page)
+    // One query per filter set from the template registry (record_type or
+    // template_id), merged by sp_no
     const allSpNoList = [];
-    let cursor = 0;
-    let hasMore = true;
-    let pageNum = 1;
-
-    while (hasMore) {
-      const requestBody = {
-        starttime: startTime,
-        endtime: endTime,
-        cursor: cursor,
-        size: 100,
-        filters: [
-          {
-            key: 'record_type',
-            value: 1, // 1 = 请假 (leave) - using integer
-          },
-        ],
-      };
-
-      const response = await axiosInstance.post(
-        `${BASE_URL}/oa/getapprovalinfo?access_token=${accessToken}`,
-        requestBody
-      );
-
-      if (response.data.errcode !== 0) {
-        throw new WecomAPIError(
-          `Failed to fetch approval list: ${response.data.errmsg}`,
-          `WECOM_${response.data.errcode}`
-        );
-      }
-
-      const spNoList = response.data.sp_no_list || [];
-      allSpNoList.push(...spNoList);
-
-      // Check if there are more pages
-      hasMore = spNoList.length === 100;
-      cursor += spNoList.length;
-
-      if (hasMore) {
-        console.log(`   📄 Page ${pageNum}: ${spNoList.length} records (fetching more...)`);
-        pageNum++;
-        // Small delay between pages to avoid rate limiting
-        await delay(200);
-      } else {
-        if (pageNum > 1) {
-          console.log(`   📄 Page ${pageNum}: ${spNoList.length} records (last page)`);
+    let pageNum = 0;
+
+    for (const filters of templateRegistry.getListFilters()) {
+      const result = await fetchApprovalListPages(accessToken, startTime, endTime, filters);
+      pageNum += result.pages;
+      result.items.forEach(spNo => {
+        if (!allSpNoList.includes(spNo)) {
+          allSpNoList.push(spNo);
         }
-      }
+      });
     }
 
     console.log(`📋 Found ${allSpNoList.length} approval records${pageNum > 1 ? ` (${pageNum} pages)` : ''}`);
@@ -249,14 +214,67 @@ async function fetchApprovalListByTimestamp(accessToken, startTimestamp, endTime
   }
 }
 
+/**
+ * Fetch all pages of one approval list query
+ * (WeChat Work API returns max 100 records per page)
+ * @returns {Promise<Object>} { items: [sp_no], pages }
+ */
+async function fetchApprovalListPages(accessToken, startTime, endTime, filters) {
+  const items = [];
+  let cursor = 0;
+  let hasMore = true;
+  let pageNum = 1;
+
+  while (hasMore) {
+    const requestBody = {
+      starttime: startTime,
+      endtime: endTime,
+      cursor: cursor,
+      size: 100,
+      filters,
+    };
+
+    const response = await axiosInstance.post(
+      `${BASE_URL}/oa/getapprovalinfo?access_token=${accessToken}`,
+      requestBody
+    );
+
+    if (response.data.errcode !== 0) {
+      throw new WecomAPIError(
+        `Failed to fetch approval list: ${response.data.errmsg}`,
+        `WECOM_${response.data.errcode}`
+      );
+    }
+
+    const spNoList = response.data.sp_no_list || [];
+    items.push(...spNoList);
+
+    // Check if there are more pages
+    hasMore = spNoList.length === 100;
+    cursor += spNoList.length;
+
+    if (hasMore) {
+      console.log(`   📄 Page ${pageNum}: ${spNoList.length} records (fetching more...)`);
+      pageNum++;
+      // Small delay between pages to avoid rate limiting
+      await delay(200);
+    } else if (pageNum > 1) {
+      console.log(`   📄 Page ${pageNum}: ${spNoList.length} records (last page)`);
+    }
+  }
+
+  return { items, pages: pageNum };
+}
+
 // User info cache to avoid redundant API calls
 const userInfoCache = new Map();
 const departmentCache = new Map();
 
 /**
- * Get department name by department id
+ * Get department info by department id
+ * @returns {Promise<Object|null>} { name, parentid }
  */
-async function getDepartmentName(accessToken, deptId) {
+async function getDepartmentInfo(accessToken, deptId) {
   // Check cache first
   if (departmentCache.has(deptId)) {
     return departmentCache.get(deptId);
@@ -272,26 +290,79 @@ async function getDepartmentName(accessToken, deptId) {
       return null;
     }
 
-    const deptName = response.data.department?.name || null;
+    const dept = response.data.department;
+    if (!dept || !dept.name) {
+      return null;
+    }
 
     // Cache the result
-    if (deptName) {
-      departmentCache.set(deptId, deptName);
-    }
+    const deptInfo = { name: dept.name, parentid: dept.parentid || 0 };
+    departmentCache.set(deptId, deptInfo);
 
-    return deptName;
+    return deptInfo;
   } catch (error) {
     console.warn(`⚠️  Failed to fetch department info for ${deptId}: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Get department name by department id
+ */
+async function getDepartmentName(accessToken, deptId) {
+  const deptInfo = await getDepartmentInfo(accessToken, deptId);
+  return deptInfo ? deptInfo.name : null;
+}
+
+/**
+ * Get the department's parent chain, root first (e.g. ["公司", "研发部", "后端组"])
+ * Stops at the root or at the first ancestor that cannot be fetched.
+ * @returns {Promise<Array<string>>} Department names, empty if the department is unknown
+ */
+async function getDepartmentPath(accessToken, deptId) {
+  const path = [];
+  const visited = new Set();
+  let currentId = deptId;
+
+  while (currentId && !visited.has(currentId)) {
+    visited.add(currentId);
+    const deptInfo = await getDepartmentInfo(accessToken, currentId);
+    if (!deptInfo) {
+      break;
+    }
+    path.unshift(deptInfo.name);
+    currentId = deptInfo.parentid;
+  }
+
+  return path;
+}
+
+// user/get errcode for a userid that no longer exists (left the company)
+const USER_NOT_FOUND_ERRCODE = 60111;
+
+/**
+ * Map a user/get or user/list status to an employment status
+ * (1 = 已激活, 2 = 已禁用, 4 = 未激活, 5 = 退出企业)
+ * @returns {string} 'active' | 'disabled' | 'departed'
+ */
+function getEmploymentStatus(statusCode) {
+  if (statusCode === 2) {
+    return 'disabled';
+  }
+  if (statusCode === 5) {
+    return 'departed';
+  }
+  return 'active';
+}
+
 /**
  * Get user information by userid (with caching)
+ * A userid that no longer exists is reported as departed (status 5).
+ * @param {Object} [options] - { skipCache } to re-check the current status
  */
-async function getUserInfo(accessToken, userid) {
+async function getUserInfo(accessToken, userid, options = {}) {
   // Check cache first
-  if (userInfoCache.has(userid)) {
+  if (!options.skipCache && userInfoCache.has(userid)) {
     return userInfoCache.get(userid);
   }
 
@@ -300,6 +371,12 @@ async function getUserInfo(accessToken, userid) {
       `${BASE_URL}/user/get?access_token=${accessToken}&userid=${userid}`
     );
 
+    if (response.data.errcode === USER_NOT_FOUND_ERRCODE) {
+      const departed = { name: null, department: [], main_department: null, status: 5 };
+      userInfoCache.set(userid, departed);
+      return departed;
+    }
+
     if (response.data.errcode !== 0) {
       console.warn(`⚠️  Failed to fetch user info for ${userid}: ${response.data.errmsg}`);
       return null;
@@ -309,6 +386,8 @@ async function getUserInfo(accessToken, userid) {
       name: response.data.name,
       department: response.data.department || [],
       main_department: response.data.main_department || null,
+      status: response.data.status,
+      direct_leader: response.data.direct_leader || [],
     };
 
     // Cache the result
@@ -321,6 +400,70 @@ async function getUserInfo(accessToken, userid) {
   }
 }
 
+/**
+ * Fetch the whole department tree visible to the app
+ * @returns {Promise<Array<Object>>} Departments { id, name, parentid, order }
+ */
+async function fetchDepartmentList(accessToken) {
+  const response = await axiosInstance.get(
+    `${BASE_URL}/department/list?access_token=${accessToken}`
+  );
+
+  if (response.data.errcode !== 0) {
+    throw new WecomAPIError(
+      `Failed to fetch department list: ${response.data.errmsg}`,
+      `WECOM_${response.data.errcode}`
+    );
+  }
+
+  return (response.data.department || []).map(dept => ({
+    id: dept.id,
+    name: dept.name,
+    parentid: dept.parentid,
+    order: dept.order,
+  }));
+}
+
+/**
+ * Fetch the members directly in a department (not its sub-departments)
+ * @returns {Promise<Array<Object>>} Raw member records from user/list
+ */
+async function fetchDepartmentMembers(accessToken, deptId) {
+  const response = await axiosInstance.get(
+    `${BASE_URL}/user/list?access_token=${accessToken}&department_id=${deptId}`
+  );
+
+  if (response.data.errcode !== 0) {
+    throw new WecomAPIError(
+      `Failed to fetch members of department ${deptId}: ${response.data.errmsg}`,
+      `WECOM_${response.data.errcode}`
+    );
+  }
+
+  return response.data.userlist || [];
+}
+
+/**
+ * Send an application message (message/send) as the configured agent
+ * @param {Object} message - { touser, msgtype, agentid, <msgtype>: {...} }
+ * @returns {Promise<Object>} Response (invaliduser lists recipients WeChat rejected)
+ */
+async function sendAppMessage(accessToken, message) {
+  const response = await axiosInstance.post(
+    `${BASE_URL}/message/send?access_token=${accessToken}`,
+    message
+  );
+
+  if (response.data.errcode !== 0) {
+    throw new WecomAPIError(
+      `Failed to send application message: ${response.data.errmsg}`,
+      `WECOM_${response.data.errcode}`
+    );
+  }
+
+  return response.data;
+}
+
 /**
  * Get detailed approval information
  */
@@ -413,9 +556,144 @@ function parseVacationData(applyData) {
     isHalfDay,
     dateRangeType: dateRange.type,
     sliceInfo,
+    leaveType: parseLeaveType(vacation.selector),
+  };
+}
+
+/**
+ * Parse leave type (年假/病假/事假/调休...) from the vacation selector
+ * @param {Object} selector - vacation.selector from apply_data
+ * @returns {string|null} Leave type name, or null if not present
+ */
+function parseLeaveType(selector) {
+  const option = selector?.options?.[0];
+  if (!option || !Array.isArray(option.value) || option.value.length === 0) {
+    return null;
+  }
+
+  // Prefer the Chinese label, fall back to the first available language
+  const label = option.value.find(item => item.lang === 'zh_CN') || option.value[0];
+  return label.text || null;
+}
+
+/**
+ * Parse overtime (加班) data from approval detail
+ * The attendance control gives the worked period; it is split into hours per
+ * calendar day, scaled so the days add up to the approved duration.
+ * @returns {Object|null} { startDate, endDate, duration, entries: [{ date, hours }] }
+ */
+function parseOvertimeData(applyData) {
+  if (!applyData || !applyData.contents) {
+    return null;
+  }
+
+  const attendanceField = applyData.contents.find(
+    field => field.value && field.value.attendance && field.value.attendance.date_range
+  );
+  if (!attendanceField) {
+    return null;
+  }
+
+  const dateRange = attendanceField.value.attendance.date_range;
+  const begin = dateRange.new_begin;
+  const end = dateRange.new_end;
+  if (!begin || !end || end <= begin) {
+    return null;
+  }
+  const duration = dateRange.new_duration || (end - begin);
+
+  // Seconds of the period falling on each calendar day
+  const perDay = [];
+  let cursor = begin;
+  while (cursor < end) {
+    const day = new Date(cursor * 1000);
+    const nextMidnight = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime() / 1000;
+    const sliceEnd = Math.min(nextMidnight, end);
+    perDay.push({
+      date: `${day.getFullYear()}-${day.getMonth() + 1}.${day.getDate()}`,
+      seconds: sliceEnd - cursor,
+    });
+    cursor = sliceEnd;
+  }
+
+  const scale = duration / (end - begin);
+  const entries = perDay.map(({ date, seconds }) => ({
+    date,
+    hours: Math.round((seconds * scale) / 360) / 10, // One decimal
+  })).filter(entry => entry.hours > 0);
+
+  return {
+    startDate: new Date(begin * 1000),
+    endDate: new Date(end * 1000),
+    duration,
+    entries,
   };
 }
 
+/**
+ * Parse trip (出差) / outing (外出) data from approval detail
+ * Returns the same shape as parseVacationData so generateDateKeys() applies.
+ * An hourly range inside one half of a single day is treated as that half day.
+ */
+function parseAttendanceData(applyData) {
+  if (!applyData || !applyData.contents) {
+    return null;
+  }
+
+  const attendanceField = applyData.contents.find(
+    field => field.value && field.value.attendance && field.value.attendance.date_range
+  );
+  if (!attendanceField) {
+    return null;
+  }
+
+  const attendance = attendanceField.value.attendance;
+  const dateRange = attendance.date_range;
+  if (!dateRange.new_begin || !dateRange.new_end) {
+    return null;
+  }
+
+  const startDate = new Date(dateRange.new_begin * 1000);
+  const endDate = new Date(dateRange.new_end * 1000);
+
+  const minutesOfDay = date => date.getHours() * 60 + date.getMinutes();
+  const withinHalfDay = dateRange.type === 'hour' &&
+    startDate.toDateString() === endDate.toDateString() &&
+    (minutesOfDay(endDate) <= 12 * 60 || minutesOfDay(startDate) >= 12 * 60);
+
+  return {
+    startDate,
+    endDate,
+    duration: dateRange.new_duration,
+    isHalfDay: dateRange.type === 'halfday' || withinHalfDay,
+    dateRangeType: dateRange.type,
+    sliceInfo: withinHalfDay ? null : attendance.slice_info,
+    leaveType: null,
+  };
+}
+
+// Parsing rules referenced by the template registry (`parser`)
+const PARSERS = {
+  vacation: parseVacationData,
+  overtime: parseOvertimeData,
+  attendance: parseAttendanceData,
+};
+
+/**
+ * Parse an approval's form using the rule of its registry entry
+ * @param {Object} detail - Approval detail from WeChat API
+ * @param {Object} [template] - Registry entry (looked up when omitted)
+ * @returns {Object|null} Parsed data, or null if not relevant or unparseable
+ */
+function parseApprovalData(detail, template) {
+  const entry = template || templateRegistry.matchTemplate(detail && detail.template_id, detail && detail.sp_name);
+  const parse = entry && PARSERS[entry.parser];
+  if (!parse) {
+    return null;
+  }
+  return parse(detail.apply_data);
+}
+
 /**
  * Generate date keys for leave period
  * Supports half-day leaves with annotations based on slice_info
@@ -496,14 +774,16 @@ async function transformApprovalDetail(detail, accessToken) {
     const statusCode = detail.sp_status;
     const status = getStatusText(statusCode);
 
-    // Only process "请假" (leave) approvals
-    if (detail.sp_name !== '请假') {
-      console.log(`⏭️  Skipped: sp_no=${detail.sp_no}, type="${detail.sp_name}" (not 请假), applicant=${userid}`);
+    // Only process approvals of registered templates
+    const template = templateRegistry.matchTemplate(detail.template_id, detail.sp_name);
+    if (!template) {
+      console.log(`⏭️  Skipped: sp_no=${detail.sp_no}, type="${detail.sp_name}" (template not registered), applicant=${userid}`);
       return null;
     }
 
-    // Only process pending (1) and approved (2) statuses
-    if (statusCode !== 1 && statusCode !== 2) {
+    // Only process pending (1) and approved (2) leave; other categories keep
+    // every status so a rejection replaces the earlier pending record
+    if (template.category === 'leave' && statusCode !== 1 && statusCode !== 2) {
       console.log(`⏭️  Skipped: sp_no=${detail.sp_no}, status=${statusCode} (${status || 'unknown'}), applicant=${userid}`);
       return null;
     }
@@ -511,11 +791,14 @@ async function transformApprovalDetail(detail, accessToken) {
     // Fetch user information (name + department) from WeChat API
     let name = userid; // Fallback to userid
     let department = '未知';
+    let departmentPath = null; // Parent chain, root first
+    let employmentStatus = null; // Unknown when user info cannot be fetched
 
     if (userid && userid !== 'Unknown') {
       const userInfo = await getUserInfo(accessToken, userid);
       if (userInfo) {
         name = userInfo.name || userid;
+        employmentStatus = getEmploymentStatus(userInfo.status);
 
         // Get department name: try main_department first, then first department in array
         let deptId = userInfo.main_department;
@@ -527,6 +810,7 @@ async function transformApprovalDetail(detail, accessToken) {
           const deptName = await getDepartmentName(accessToken, deptId);
           if (deptName) {
             department = deptName;
+            departmentPath = await getDepartmentPath(accessToken, deptId);
           } else {
             // Fallback to partyname if department API fails
             department = detail.applier?.partyname || detail.applyer?.partyname || '未知';
@@ -538,10 +822,37 @@ async function transformApprovalDetail(detail, accessToken) {
       }
     }
 
-    // Parse vacation data
-    const vacationData = parseVacationData(detail.apply_data);
+    if (template.category === 'overtime') {
+      const overtimeData = parseApprovalData(detail, template);
+      if (!overtimeData || overtimeData.entries.length === 0) {
+        console.warn(`⚠️  Failed to parse overtime data for ${name}`);
+        return null;
+      }
+
+      return {
+        userid,
+        name,
+        department,
+        departmentPath,
+        employmentStatus,
+        status,
+        entries: overtimeData.entries,
+        spNo: detail.sp_no,
+        statusCode,
+        applyTime: detail.apply_time,
+        templateId: detail.template_id,
+        spName: detail.sp_name,
+        category: template.category,
+        startTime: Math.floor(overtimeData.startDate.getTime() / 1000),
+        endTime: Math.floor(overtimeData.endDate.getTime() / 1000),
+        duration: overtimeData.duration,
+      };
+    }
+
+    // Parse the form with the template's parsing rule
+    const vacationData = parseApprovalData(detail, template);
     if (!vacationData) {
-      console.warn(`⚠️  Failed to parse vacation data for ${name}`);
+      console.warn(`⚠️  Failed to parse ${template.parser} data for ${name}`);
       return null;
     }
 
@@ -556,9 +867,22 @@ async function transformApprovalDetail(detail, accessToken) {
       userid,      // Use userid as primary key
       name,        // name is just an attribute
       department,
+      departmentPath,
+      employmentStatus,
       status,
       dateKeys,
       isHalfDay: vacationData.isHalfDay,
+      leaveType: vacationData.leaveType,
+      // Approval metadata (persisted by the approval store)
+      spNo: detail.sp_no,
+      statusCode,
+      applyTime: detail.apply_time,
+      templateId: detail.template_id,
+      spName: detail.sp_name,
+      category: template.category,
+      startTime: Math.floor(vacationData.startDate.getTime() / 1000),
+      endTime: Math.floor(vacationData.endDate.getTime() / 1000),
+      duration: vacationData.duration,
     };
   } catch (error) {
     throw new DataTransformError(
@@ -568,30 +892,49 @@ async function transformApprovalDetail(detail, accessToken) {
   }
 }
 
+/**
+ * Extract the leave date keys from a raw approval detail
+ * Lighter than transformApprovalDetail (no user/department lookups).
+ * @param {Object} detail - Approval detail from WeChat API
+ * @returns {Array<string>|null} Date keys, or null if the form cannot be parsed
+ */
+function extractDateKeys(detail) {
+  const template = detail && templateRegistry.matchTemplate(detail.template_id, detail.sp_name);
+  const vacationData = template && template.category === 'leave' ? parseApprovalData(detail, template) : null;
+  if (!vacationData) {
+    return null;
+  }
+  return generateDateKeys(vacationData, null, null);
+}
+
 /**
  * Transform WeChat data to internal format
  * Uses userid as the unique identifier (not name)
  */
 function transformWecomData(approvalDetails) {
   const leaveData = {};
+  const leaveTypes = {};
   const employeeInfo = {};
 
   approvalDetails.forEach(detail => {
     if (!detail) return; // Skip filtered or invalid records
 
-    const { userid, name, department, status, dateKeys } = detail;
+    const { userid, name, department, departmentPath, employmentStatus, status, dateKeys, leaveType } = detail;
 
     // Initialize employee info (use userid as key, name as attribute)
     if (!employeeInfo[userid]) {
       employeeInfo[userid] = {
         name,
-        department
+        department,
+        departmentPath: departmentPath || [department],
+        employmentStatus,
       };
     }
 
     // Initialize leave data (use userid as key)
     if (!leaveData[userid]) {
       leaveData[userid] = {};
+      leaveTypes[userid] = {};
     }
 
     // Add leave dates
@@ -600,11 +943,16 @@ function transformWecomData(approvalDetails) {
       const existingStatus = leaveData[userid][dateKey];
       if (!existingStatus || (status === '已通过' && existingStatus !== '已通过')) {
         leaveData[userid][dateKey] = status;
+        if (leaveType) {
+          leaveTypes[userid][dateKey] = leaveType;
+        } else {
+          delete leaveTypes[userid][dateKey];
+        }
       }
     });
   });
 
-  return { leaveData, employeeInfo };
+  return { leaveData, leaveTypes, employeeInfo };
 }
 
 /**
@@ -616,9 +964,12 @@ function delay(ms) {
 
 /**
  * Fetch approval details with rate limiting and concurrency control
+ * @param {Function} [onProgress] - Called with (fetched, total) after each batch
  */
-async function fetchApprovalDetails(accessToken, spNoList) {
+async function fetchApprovalDetails(accessToken, spNoList, onProgress) {
   const details = [];
+  const overtime = []; // Overtime approvals, kept apart from leave
+  const availability = []; // Trip/outing approvals, kept apart from leave
   const rawDetails = [];
   const spDateKeysMap = {}; // Map sp_no → dateKeys for per-approval tracking
   const errors = [];
@@ -677,13 +1028,20 @@ async function fetchApprovalDetails(accessToken, spNoList) {
     // Check for rate limit errors in this batch
     let batchRateLimitCount = 0;
     batchResults.forEach(result => {
-      if (result.success && result.data) {
+      // Raw details are kept whatever their category or status: the transform
+      // drops finalized leave, which reconciliation still has to apply
+      if (result.success && result.rawDetail) {
+        rawDetails.push(result.rawDetail);
+      }
+
+      if (result.success && result.data && result.data.category === 'overtime') {
+        overtime.push(result.data);
+      } else if (result.success && result.data && result.data.category !== 'leave') {
+        availability.push(result.data);
+      } else if (result.success && result.data) {
         details.push(result.data);
-        if (result.rawDetail) {
-          rawDetails.push(result.rawDetail);
-          // Map sp_no to this specific approval's dateKeys
-          spDateKeysMap[result.rawDetail.sp_no] = result.data.dateKeys || [];
-        }
+        // Map sp_no to this specific approval's dateKeys
+        spDateKeysMap[result.data.spNo] = result.data.dateKeys || [];
       } else if (result.error && result.error.message &&
                  (result.error.message.includes('45009') || result.error.message.includes('freq out of limit'))) {
         batchRateLimitCount++;
@@ -699,18 +1057,24 @@ async function fetchApprovalDetails(accessToken, spNoList) {
       delayMs = Math.max(delayMs * 0.8, 50); // Gradually reduce delay if no issues
     }
 
+    if (onProgress) {
+      onProgress(Math.min(i + concurrencyLimit, spNoList.length), spNoList.length);
+    }
+
     // Rate limiting delay (except for last batch)
     if (i + concurrencyLimit < spNoList.length) {
       await delay(delayMs);
     }
   }
 
-  console.log(`✅ Successfully fetched ${details.length} leave approvals`);
+  console.log(`✅ Successfully fetched ${details.length} leave approvals` +
+    (overtime.length > 0 ? `, ${overtime.length} overtime approvals` : '') +
+    (availability.length > 0 ? `, ${availability.length} trip/outing approvals` : ''));
   if (errors.length > 0) {
     console.warn(`⚠️  ${errors.length} records failed`);
   }
 
-  return { details, rawDetails, spDateKeysMap, errors };
+  return { details, overtime, availability, rawDetails, spDateKeysMap, errors };
 }
 
 /**
@@ -827,6 +1191,7 @@ async function syncLeaveApprovals(startDate, endDate) {
       console.log('ℹ️  No approval records found in date range');
       return {
         leaveData: {},
+        leaveTypes: {},
         employeeInfo: {},
         syncedCount: 0,
         newEmployees: 0,
@@ -837,14 +1202,14 @@ async function syncLeaveApprovals(startDate, endDate) {
     }
 
     // Step 3: Fetch detailed approval info
-    const { details, errors } = await fetchApprovalDetails(accessToken, spNoList);
+    const { details, overtime, availability, errors } = await fetchApprovalDetails(accessToken, spNoList);
 
     // Step 4: Transform to internal format
-    const { leaveData, employeeInfo } = transformWecomData(details);
+    const { leaveData, leaveTypes, employeeInfo } = transformWecomData(details);
 
-    const syncedCount = details.length;
+    const syncedCount = details.length + overtime.length + availability.length;
     const newEmployees = Object.keys(employeeInfo).length;
-    const skippedCount = spNoList.length - details.length;
+    const skippedCount = spNoList.length - syncedCount;
 
     console.log('✅ Sync completed successfully');
     console.log(`   Synced: ${syncedCount} records`);
@@ -853,7 +1218,11 @@ async function syncLeaveApprovals(startDate, endDate) {
 
     return {
       leaveData,
+      leaveTypes,
       employeeInfo,
+      approvals: details, // Transformed approvals for the approval store
+      overtime, // Transformed overtime approvals for the overtime store
+      availability, // Transformed trip/outing approvals for the availability store
       syncedCount,
       newEmployees,
       updatedEmployees: 0, // Will be calculated in merge
@@ -866,15 +1235,59 @@ async function syncLeaveApprovals(startDate, endDate) {
   }
 }
 
+/**
+ * Sync a single date chunk (at most 31 days, the WeChat Work API limit)
+ * Unit of work of background sync jobs, which checkpoint after every chunk.
+ * @param {{start: string, end: string}} chunk - Dates in YYYY-MM-DD format
+ * @param {Function} [onProgress] - Called with (fetched, total) after each detail batch
+ * @returns {Promise<Object>} Same shape as syncLeaveApprovals()
+ */
+async function syncLeaveApprovalsChunk(chunk, onProgress) {
+  const accessToken = await getAccessToken();
+
+  const chunkStartTs = Math.floor(new Date(chunk.start + 'T00:00:00+08:00').getTime() / 1000);
+  const chunkEndTs = Math.floor(new Date(chunk.end + 'T23:59:59+08:00').getTime() / 1000);
+  const spNoList = await fetchApprovalListByTimestamp(accessToken, chunkStartTs, chunkEndTs);
+
+  if (onProgress) {
+    onProgress(0, spNoList.length);
+  }
+
+  const { details, overtime, availability, errors } = spNoList.length > 0
+    ? await fetchApprovalDetails(accessToken, spNoList, onProgress)
+    : { details: [], overtime: [], availability: [], errors: [] };
+  const { leaveData, leaveTypes, employeeInfo } = transformWecomData(details);
+
+  return {
+    leaveData,
+    leaveTypes,
+    employeeInfo,
+    approvals: details, // Transformed approvals for the approval store
+    overtime, // Transformed overtime approvals for the overtime store
+    availability, // Transformed trip/outing approvals for the availability store
+    syncedCount: details.length + overtime.length + availability.length,
+    newEmployees: Object.keys(employeeInfo).length,
+    updatedEmployees: 0, // Will be calculated in merge
+    skippedCount: spNoList.length - details.length - overtime.length - availability.length,
+    errors,
+  };
+}
+
 /**
  * Sync leave approvals using precise Unix timestamps (minute-level sync)
  * @param {number} startTimestamp - Start time in Unix seconds
  * @param {number} endTimestamp - End time in Unix seconds
- * @returns {Promise<Object>} Sync result with leaveData and employeeInfo
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skipSpNos] - sp_no already processed (overlap de-duplication)
+ * @returns {Promise<Object>} Sync result with leaveData and employeeInfo, plus
+ *   `chunks` ({ start, end, spNos } for every chunk whose list was fetched, in order)
+ *   so the caller can advance its watermark only past fully successful chunks
  */
-async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp) {
+async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp, options = {}) {
   console.log('🚀 Starting WeChat Work sync (by timestamp)...');
 
+  const skipSpNos = options.skipSpNos || new Set();
+
   try {
     // Step 1: Get access token
     const accessToken = await getAccessToken();
@@ -896,7 +1309,8 @@ async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp) {
     }
 
     // Step 3: Fetch approval lists for all chunks
-    const allSpNoList = [];
+    // A failed list stops here: later chunks are retried by the next cycle
+    const fetchedChunks = [];
 
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
@@ -905,8 +1319,16 @@ async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp) {
 
       console.log(`   📋 Fetching chunk ${i + 1}/${chunks.length}: ${chunkStart} → ${chunkEnd}`);
 
-      const spNoList = await fetchApprovalListByTimestamp(accessToken, chunk.start, chunk.end);
-      allSpNoList.push(...spNoList);
+      try {
+        const spNoList = await fetchApprovalListByTimestamp(accessToken, chunk.start, chunk.end);
+        fetchedChunks.push({ start: chunk.start, end: chunk.end, spNos: spNoList });
+      } catch (error) {
+        if (i === 0) {
+          throw error;
+        }
+        console.warn(`   ⚠️  Chunk ${i + 1} failed (${error.message}), stopping at chunk ${i}`);
+        break;
+      }
 
       // Small delay between chunks to avoid rate limiting
       if (i < chunks.length - 1) {
@@ -914,32 +1336,41 @@ async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp) {
       }
     }
 
-    console.log(`   📊 Total approval records found: ${allSpNoList.length}`);
+    const allSpNoList = [...new Set(fetchedChunks.flatMap(chunk => chunk.spNos))];
+    const spNoList = allSpNoList.filter(spNo => !skipSpNos.has(spNo));
+    const duplicateCount = allSpNoList.length - spNoList.length;
 
-    const spNoList = allSpNoList;
+    console.log(`   📊 Total approval records found: ${allSpNoList.length}` +
+      (duplicateCount > 0 ? ` (${duplicateCount} already synced, skipped)` : ''));
 
     if (spNoList.length === 0) {
-      console.log('ℹ️  No approval records found in time range');
+      console.log('ℹ️  No new approval records found in time range');
       return {
         leaveData: {},
+        leaveTypes: {},
         employeeInfo: {},
+        approvals: [],
         syncedCount: 0,
         newEmployees: 0,
         updatedEmployees: 0,
         skippedCount: 0,
+        duplicateCount,
         errors: [],
+        rawDetails: [],
+        spDateKeysMap: {},
+        chunks: fetchedChunks,
       };
     }
 
     // Step 4: Fetch detailed approval info
-    const { details, rawDetails, spDateKeysMap, errors } = await fetchApprovalDetails(accessToken, spNoList);
+    const { details, overtime, availability, rawDetails, spDateKeysMap, errors } = await fetchApprovalDetails(accessToken, spNoList);
 
     // Step 5: Transform to internal format
-    const { leaveData, employeeInfo } = transformWecomData(details);
+    const { leaveData, leaveTypes, employeeInfo } = transformWecomData(details);
 
-    const syncedCount = details.length;
+    const syncedCount = details.length + overtime.length + availability.length;
     const newEmployees = Object.keys(employeeInfo).length;
-    const skippedCount = spNoList.length - details.length;
+    const skippedCount = spNoList.length - syncedCount;
 
     console.log('✅ Sync completed successfully');
     console.log(`   Synced: ${syncedCount} records`);
@@ -948,14 +1379,20 @@ async function syncLeaveApprovalsByTimestamp(startTimestamp, endTimestamp) {
 
     return {
       leaveData,
+      leaveTypes,
       employeeInfo,
+      approvals: details, // Transformed approvals for the approval store
+      overtime, // Transformed overtime approvals for the overtime store
+      availability, // Transformed trip/outing approvals for the availability store
       syncedCount,
       newEmployees,
       updatedEmployees: 0, // Will be calculated in merge
       skippedCount,
+      duplicateCount,
       errors,
-      rawDetails, // Include raw API responses for active approvals tracking
+      rawDetails, // Raw API responses of every fetched approval, in any status
       spDateKeysMap, // Map sp_no → dateKeys for per-approval date tracking
+      chunks: fetchedChunks,
     };
   } catch (error) {
     console.error('❌ Sync failed:', error);
@@ -1018,15 +1455,26 @@ async function fetchApprovalDetailsForStatusCheck(accessToken, spNoList) {
 
 module.exports = {
   syncLeaveApprovals,
+  syncLeaveApprovalsChunk,
   syncLeaveApprovalsByTimestamp,
+  splitDateRangeIntoChunks,
   fetchApprovalDetailsForStatusCheck,
   getAccessToken,
   getJsApiTicket,
   getApprovalDetail,
+  getUserInfo,
+  getEmploymentStatus,
+  sendAppMessage,
+  fetchDepartmentList,
+  fetchDepartmentMembers,
   transformApprovalDetail,
   getStatusText,
   parseVacationData,
+  parseApprovalData,
+  parseOvertimeData,
+  parseAttendanceData,
   generateDateKeys,
+  extractDateKeys,
   WecomAuthError,
   WecomAPIError,
   DataTransformError,
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('./helpers/memory-storage');
+const storage = require('../services/storage');
+const authService = require('../services/auth-service');
+
+test('validating a session does not rewrite the sessions on every request', () => {
+  memoryStorage.reset();
+  const sessionId = authService.createSession('zhangsan', '张三', '研发部');
+
+  let writes = 0;
+  const writeDocument = storage.writeDocument;
+  storage.writeDocument = (name, data) => {
+    writes++;
+    writeDocument(name, data);
+  };
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual(authService.validateSession(sessionId).userid, 'zhangsan');
+    }
+  } finally {
+    storage.writeDocument = writeDocument;
+  }
+
+  assert.strictEqual(writes, 0);
+});
+
+test('an unreadable sessions document is never replaced by an empty one', () => {
+  memoryStorage.reset();
+  const sessionId = authService.createSession('zhangsan', '张三', '研发部');
+
+  const readDocument = storage.readDocument;
+  storage.readDocument = () => {
+    throw new Error('sessions.json is unusable');
+  };
+  try {
+    assert.throws(() => authService.validateSession(sessionId), /Failed to load sessions/);
+    assert.throws(() => authService.createSession('lisi', '李四', '研发部'), /Failed to load sessions/);
+  } finally {
+    storage.readDocument = readDocument;
+  }
+
+  assert.deepStrictEqual(Object.keys(memoryStorage.read('sessions')), [sessionId]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const callbackGuard = require('../services/callback-guard');
+
+const realNow = Date.now;
+
+// Run fn with the clock moved by offsetSeconds
+function at(offsetSeconds, fn) {
+  const shifted = realNow() + offsetSeconds * 1000;
+  Date.now = () => shifted;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+const nowSeconds = () => Math.floor(realNow() / 1000);
+
+test('timestamps inside the window are fresh', () => {
+  assert.ok(callbackGuard.isFresh(String(nowSeconds())));
+  assert.ok(callbackGuard.isFresh(String(nowSeconds() - callbackGuard.MAX_AGE_SECONDS + 5)));
+  assert.ok(callbackGuard.isFresh(String(nowSeconds() + callbackGuard.MAX_CLOCK_SKEW_SECONDS - 5)));
+});
+
+test('stale and future timestamps are rejected', () => {
+  assert.ok(!callbackGuard.isFresh(String(nowSeconds() - callbackGuard.MAX_AGE_SECONDS - 5)));
+  assert.ok(!callbackGuard.isFresh(String(nowSeconds() + callbackGuard.MAX_CLOCK_SKEW_SECONDS + 5)));
+  assert.ok(!callbackGuard.isFresh(String(nowSeconds() + callbackGuard.MAX_AGE_SECONDS)));
+  assert.ok(!callbackGuard.isFresh('abc'));
+});
+
+test('a replayed nonce is caught for as long as its timestamp is fresh', () => {
+  // Slightly ahead of the server clock: the nonce must outlive MAX_AGE_SECONDS after arrival
+  const timestamp = String(nowSeconds() + callbackGuard.MAX_CLOCK_SKEW_SECONDS - 10);
+  assert.strictEqual(callbackGuard.checkNonce(timestamp, 'n1'), false);
+
+  const replayAt = callbackGuard.MAX_AGE_SECONDS + 20;
+  at(replayAt, () => {
+    assert.ok(callbackGuard.isFresh(timestamp));
+    assert.strictEqual(callbackGuard.checkNonce(timestamp, 'n1'), true);
+  });
+});
+
+test('a nonce is forgotten once its timestamp has left the window', () => {
+  const timestamp = String(nowSeconds());
+  assert.strictEqual(callbackGuard.checkNonce(timestamp, 'n2'), false);
+
+  at(callbackGuard.MAX_AGE_SECONDS + 5, () => {
+    assert.ok(!callbackGuard.isFresh(timestamp));
+    assert.strictEqual(callbackGuard.checkNonce(timestamp, 'n2'), false);
+  });
+});
+
+test('a re-delivered message is a duplicate', () => {
+  assert.strictEqual(callbackGuard.checkMessage('<xml>a</xml>', null), false);
+  assert.strictEqual(callbackGuard.checkMessage('<xml>a</xml>', null), true);
+  assert.strictEqual(callbackGuard.checkMessage('<xml>b</xml>', 'MSG1'), false);
+  assert.strictEqual(callbackGuard.checkMessage('<xml>c</xml>', 'MSG1'), true);
+});
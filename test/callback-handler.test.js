@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('./helpers/memory-storage');
+const wecomService = require('../services/wecom-service');
+const notifier = require('../services/notifier');
+const callbackQueue = require('../services/callback-queue');
+const callbackHandler = require('../services/callback-handler');
+
+const transformed = {
+  userid: 'zhangsan',
+  name: '张三',
+  department: '研发部',
+  departmentPath: ['研发部'],
+  employmentStatus: 'active',
+  status: '已通过',
+  statusCode: 2,
+  dateKeys: ['2026-3.2'],
+  isHalfDay: false,
+  leaveType: '年假',
+  spNo: 'SP1',
+  applyTime: 1767225600,
+  spName: '请假',
+  category: 'leave',
+};
+
+wecomService.getAccessToken = async () => 'token';
+wecomService.getApprovalDetail = async (accessToken, spNo) => ({ sp_no: spNo, sp_name: '请假', sp_status: 2, apply_time: 1767225600 });
+wecomService.transformApprovalDetail = async () => ({ ...transformed });
+
+let notified = [];
+notifier.notifyLeaveEvent = async (accessToken, event) => {
+  notified.push(event);
+  return 1;
+};
+
+// An approval already stored with the given status, and not in the active list
+function seedStoredApproval(status, statusCode) {
+  memoryStorage.reset();
+  memoryStorage.write('leave_approvals', {
+    approvals: {
+      SP1: {
+        sp_no: 'SP1',
+        userid: 'zhangsan',
+        name: '张三',
+        department: '研发部',
+        leave_type: '年假',
+        status_code: statusCode,
+        status,
+        apply_time: 1767225600,
+        leave_dates: ['2026-3.2'],
+        half_day_slots: [],
+        removed_dates: [],
+      },
+    },
+  });
+  notified = [];
+}
+
+async function deliverApproved() {
+  callbackQueue.enqueue('SP1', 2);
+  await callbackHandler.drainQueue();
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+test('an approval already recorded as approved is not notified again', async () => {
+  seedStoredApproval('已通过', 2);
+  await deliverApproved();
+
+  assert.strictEqual(notified.length, 0);
+  assert.strictEqual(memoryStorage.read('leave_data').leaveData.zhangsan['2026-3.2'], '已通过');
+});
+
+test('a pending approval that is approved is notified once', async () => {
+  seedStoredApproval('审批中', 1);
+  await deliverApproved();
+  await deliverApproved();
+
+  assert.deepStrictEqual(notified.map(event => [event.spNo, event.status]), [['SP1', '已通过']]);
+});
+
+test('a failing notification does not fail the callback', async () => {
+  seedStoredApproval('审批中', 1);
+  const notifyLeaveEvent = notifier.notifyLeaveEvent;
+  notifier.notifyLeaveEvent = async () => {
+    throw new Error('message/send unavailable');
+  };
+  try {
+    await deliverApproved();
+  } finally {
+    notifier.notifyLeaveEvent = notifyLeaveEvent;
+  }
+
+  assert.deepStrictEqual(callbackQueue.getQueueStatus().pending, []);
+  assert.strictEqual(memoryStorage.read('leave_approvals').approvals.SP1.status, '已通过');
+});
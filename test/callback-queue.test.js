@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('./helpers/memory-storage');
+const callbackQueue = require('../services/callback-queue');
+
+function queued(spNo) {
+  return memoryStorage.read('callback_queue').events[spNo];
+}
+
+// Delay between a failed attempt and the retry it schedules
+function scheduledBackoff(event) {
+  return new Date(event.nextAttemptAt) - new Date(event.lastAttemptAt);
+}
+
+test('failed events are retried with exponential backoff', () => {
+  memoryStorage.reset();
+  const event = callbackQueue.enqueue('SP1', 2);
+  assert.deepStrictEqual(callbackQueue.getDueEvents().map(due => due.spNo), ['SP1']);
+
+  const backoffs = [];
+  for (let attempt = 1; attempt < callbackQueue.MAX_ATTEMPTS; attempt++) {
+    assert.strictEqual(callbackQueue.markFailed(event, new Error('lock timeout')), false);
+    backoffs.push(scheduledBackoff(queued('SP1')));
+  }
+
+  backoffs.forEach((backoff, index) => {
+    const expected = 2000 * Math.pow(2, index);
+    assert.ok(Math.abs(backoff - expected) < 1000, `attempt ${index + 1}: ${backoff}ms, expected ${expected}ms`);
+  });
+  assert.strictEqual(queued('SP1').attempts, callbackQueue.MAX_ATTEMPTS - 1);
+  assert.strictEqual(queued('SP1').lastError, 'lock timeout');
+
+  // Not due again until the backoff has passed
+  assert.deepStrictEqual(callbackQueue.getDueEvents(), []);
+});
+
+test('an event is dead-lettered after the last allowed attempt', () => {
+  memoryStorage.reset();
+  const event = callbackQueue.enqueue('SP1', 2);
+
+  for (let attempt = 1; attempt < callbackQueue.MAX_ATTEMPTS; attempt++) {
+    callbackQueue.markFailed(event, new Error('lock timeout'));
+  }
+  assert.strictEqual(callbackQueue.markFailed(event, new Error('gave up')), true);
+
+  const status = callbackQueue.getQueueStatus();
+  assert.deepStrictEqual(status.pending, []);
+  assert.strictEqual(status.deadLetters.length, 1);
+  assert.strictEqual(status.deadLetters[0].spNo, 'SP1');
+  assert.strictEqual(status.deadLetters[0].attempts, callbackQueue.MAX_ATTEMPTS);
+  assert.strictEqual(status.deadLetters[0].lastError, 'gave up');
+});
+
+test('a dead-lettered event can be retried from scratch or discarded', () => {
+  memoryStorage.reset();
+  for (const spNo of ['SP1', 'SP2']) {
+    const event = callbackQueue.enqueue(spNo, 4);
+    for (let attempt = 1; attempt <= callbackQueue.MAX_ATTEMPTS; attempt++) {
+      callbackQueue.markFailed(event, new Error('failed'));
+    }
+  }
+
+  const retried = callbackQueue.retryDeadLetter('SP1');
+  assert.strictEqual(retried.attempts, 0);
+  assert.strictEqual(retried.spStatus, 4);
+  assert.deepStrictEqual(callbackQueue.getDueEvents().map(due => due.spNo), ['SP1']);
+
+  assert.strictEqual(callbackQueue.discardDeadLetter('SP2'), true);
+  assert.strictEqual(callbackQueue.discardDeadLetter('SP2'), false);
+  assert.strictEqual(callbackQueue.retryDeadLetter('SP2'), null);
+  assert.deepStrictEqual(callbackQueue.getQueueStatus().deadLetters, []);
+});
+
+test('a newer event for the same approval survives the older one finishing', () => {
+  memoryStorage.reset();
+  const older = callbackQueue.enqueue('SP1', 1);
+
+  // A newer callback for SP1 arrives while the older one is being processed
+  const newer = { ...older, spStatus: 2, receivedAt: new Date(Date.parse(older.receivedAt) + 1000).toISOString() };
+  memoryStorage.write('callback_queue', { events: { SP1: newer }, deadLetters: {} });
+
+  callbackQueue.markFailed(older, new Error('failed'));
+  callbackQueue.markDone(older);
+
+  assert.strictEqual(queued('SP1').spStatus, 2);
+  assert.strictEqual(queued('SP1').attempts, 0);
+});
@@ -0,0 +1,12 @@
+/**
+ * Send service progress logs to stderr in tests
+ *
+ * The Node 20 test runner reads each test file's results from its stdout, and
+ * the services log every step there, which can corrupt that stream. Logs are
+ * moved to stderr rather than dropped, so they still show next to a failure.
+ */
+
+const util = require('util');
+
+console.log = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+console.info = console.log;
@@ -0,0 +1,41 @@
+/**
+ * In-memory storage for tests
+ *
+ * Replaces services/storage in the require cache, so services under test read
+ * and write documents in memory instead of the JSON files in the project root.
+ * Require this before any service.
+ */
+
+const Module = require('module');
+
+const documents = new Map();
+
+const storagePath = require.resolve('../../services/storage');
+const stub = new Module(storagePath);
+stub.filename = storagePath;
+stub.loaded = true;
+stub.exports = {
+  readDocument(name) {
+    return documents.has(name) ? JSON.parse(documents.get(name)) : null;
+  },
+  writeDocument(name, data) {
+    documents.set(name, JSON.stringify(data));
+  },
+  getStorage() {
+    return { describe: () => 'memory' };
+  },
+};
+require.cache[storagePath] = stub;
+
+/**
+ * Drop every stored document
+ */
+function reset() {
+  documents.clear();
+}
+
+module.exports = {
+  reset,
+  read: stub.exports.readDocument,
+  write: stub.exports.writeDocument,
+};
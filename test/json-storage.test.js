@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStorage } = require('../services/json-storage');
+
+const tmpDirs = [];
+
+test.after(() => {
+  tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function createStorage(generations = 3) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-storage-'));
+  tmpDirs.push(rootDir);
+  return new JsonStorage(rootDir, { leave_data: 'leave_data.json' }, { generations });
+}
+
+function writeVersions(storage, count) {
+  for (let version = 1; version <= count; version++) {
+    storage.write('leave_data', { version });
+  }
+}
+
+test('a document that is not valid JSON is restored from the newest generation', () => {
+  const storage = createStorage();
+  writeVersions(storage, 2);
+  fs.writeFileSync(storage.filePath('leave_data'), '{"version": 2, "leaveDa');
+
+  assert.deepStrictEqual(storage.read('leave_data'), { version: 2 });
+
+  // The restored file verifies again and the corrupt one is kept for inspection
+  const file = storage.filePath('leave_data');
+  assert.strictEqual(storage.verify(file, fs.readFileSync(file, 'utf8')), null);
+  assert.ok(fs.readdirSync(storage.rootDir).some(name => name.startsWith('leave_data.json.corrupt-')));
+});
+
+test('a document that does not match its checksum sidecar is restored', () => {
+  const storage = createStorage();
+  writeVersions(storage, 2);
+  fs.writeFileSync(storage.filePath('leave_data'), JSON.stringify({ version: 99 }));
+
+  assert.deepStrictEqual(storage.read('leave_data'), { version: 2 });
+});
+
+test('a corrupt checksum sidecar also triggers recovery', () => {
+  const storage = createStorage();
+  writeVersions(storage, 2);
+  fs.writeFileSync(`${storage.filePath('leave_data')}.sha256`, 'not-a-checksum');
+
+  assert.deepStrictEqual(storage.read('leave_data'), { version: 2 });
+});
+
+test('a corrupt newest generation is skipped for the next good one', () => {
+  const storage = createStorage();
+  writeVersions(storage, 3);
+  fs.writeFileSync(storage.filePath('leave_data'), 'garbage');
+  fs.writeFileSync(storage.generationPath('leave_data', 1), 'garbage');
+
+  assert.deepStrictEqual(storage.read('leave_data'), { version: 2 });
+});
+
+test('a generation whose content fails its checksum is skipped', () => {
+  const storage = createStorage();
+  writeVersions(storage, 3);
+  fs.writeFileSync(storage.filePath('leave_data'), 'garbage');
+  const newest = JSON.parse(fs.readFileSync(storage.generationPath('leave_data', 1), 'utf8'));
+  newest.content = JSON.stringify({ version: 99 });
+  fs.writeFileSync(storage.generationPath('leave_data', 1), JSON.stringify(newest));
+
+  assert.deepStrictEqual(storage.read('leave_data'), { version: 2 });
+});
+
+test('generations rotate newest first and keep only the configured number', () => {
+  const storage = createStorage(3);
+  writeVersions(storage, 5);
+
+  const versions = [1, 2, 3].map(index => {
+    const generation = storage.readGeneration('leave_data', index);
+    return JSON.parse(generation.content).version;
+  });
+  assert.deepStrictEqual(versions, [5, 4, 3]);
+  assert.ok(!fs.existsSync(storage.generationPath('leave_data', 4)));
+});
+
+test('a corrupt document without any good generation fails loudly', () => {
+  const storage = createStorage();
+  writeVersions(storage, 1);
+  fs.writeFileSync(storage.filePath('leave_data'), 'garbage');
+  fs.writeFileSync(storage.generationPath('leave_data', 1), 'garbage');
+
+  assert.throws(() => storage.read('leave_data'), /no good backup generation exists/);
+});
+
+test('a document that was never written reads as null', () => {
+  const storage = createStorage();
+  assert.strictEqual(storage.read('leave_data'), null);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const leaveRecords = require('../services/leave-records');
+
+const edit = leaveType => ({ date: '2026-3.2', status: '已通过', leaveType });
+
+test('cell edits accept leave type names', () => {
+  ['年假', '调休(小时)', '陪产假', 'Annual leave'].forEach(leaveType => {
+    assert.doesNotThrow(() => leaveRecords.validateCellEdit(edit(leaveType)));
+  });
+});
+
+test('cell edits reject leave types with markup or quotes', () => {
+  ['<img src=x onerror=alert(1)>', "年假', alert(1), '", '"><script>', '年假&amp;'].forEach(leaveType => {
+    assert.throws(
+      () => leaveRecords.validateCellEdit(edit(leaveType)),
+      { name: 'LeaveRecordValidationError', code: 'INVALID_LEAVE_TYPE' }
+    );
+  });
+});
+
+test('imports reject leave types with markup', () => {
+  const document = {
+    leaveData: { zhangsan: { '2026-3.2': '已通过' } },
+    leaveTypes: { zhangsan: { '2026-3.2': '<b>年假</b>' } },
+    employeeInfo: { zhangsan: { name: '张三', department: '研发部' } },
+  };
+  assert.throws(() => leaveRecords.validateLeaveDocument(document), { code: 'INVALID_DOCUMENT' });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('./helpers/memory-storage');
+const wecomService = require('../services/wecom-service');
+const reconciliation = require('../services/reconciliation');
+
+// A full day a month ahead, so the leave is still watched
+const day = new Date();
+day.setDate(day.getDate() + 30);
+const dateKey = `${day.getFullYear()}-${day.getMonth() + 1}.${day.getDate()}`;
+const begin = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 9) / 1000;
+const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 18) / 1000;
+
+function rawDetail(status) {
+  return {
+    sp_no: 'SP1',
+    sp_name: '请假',
+    sp_status: status,
+    apply_time: 1767225600,
+    applier: { userid: 'zhangsan' },
+    apply_data: {
+      contents: [{
+        value: {
+          vacation: {
+            selector: { options: [{ value: [{ lang: 'zh_CN', text: '年假' }] }] },
+            attendance: { date_range: { type: 'day', new_begin: begin, new_end: end, new_duration: 86400 } },
+          },
+        },
+      }],
+    },
+  };
+}
+
+function seedApprovedLeave() {
+  memoryStorage.reset();
+  memoryStorage.write('leave_approvals', {
+    approvals: {
+      SP1: {
+        sp_no: 'SP1',
+        userid: 'zhangsan',
+        name: '张三',
+        department: '研发部',
+        leave_type: '年假',
+        status_code: 2,
+        status: '已通过',
+        apply_time: 1767225600,
+        leave_dates: [dateKey],
+        half_day_slots: [],
+        removed_dates: [],
+      },
+    },
+  });
+  memoryStorage.write('leave_data', {
+    leaveData: { zhangsan: { [dateKey]: '已通过' } },
+    leaveTypes: { zhangsan: { [dateKey]: '年假' } },
+    cellApprovals: { zhangsan: { [dateKey]: ['SP1'] } },
+    employeeInfo: { zhangsan: { name: '张三', department: '研发部', departmentPath: ['研发部'] } },
+  });
+  memoryStorage.write('active_approvals', {
+    approvals: {},
+    watched: { SP1: { sp_no: 'SP1', userid: 'zhangsan', name: '张三', leave_dates: [dateKey] } },
+    metadata: {},
+  });
+}
+
+// Only the listing is stubbed: every other step runs against the memory storage
+function stubListing(details) {
+  wecomService.syncLeaveApprovalsByTimestamp = async () => ({
+    leaveData: {},
+    leaveTypes: {},
+    employeeInfo: {},
+    approvals: [],
+    overtime: [],
+    availability: [],
+    syncedCount: 0,
+    skippedCount: details.length,
+    errors: [],
+    rawDetails: details,
+    spDateKeysMap: {},
+    chunks: [{ start: 0, end: Number.MAX_SAFE_INTEGER, spNos: details.map(detail => detail.sp_no) }],
+  });
+}
+
+async function reconcile() {
+  const { report } = reconciliation.startReconciliation('admin');
+  while (!report.finishedAt) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return report;
+}
+
+for (const [status, text] of [[4, '已撤销'], [6, '通过后撤销']]) {
+  test(`an approved leave that comes back as ${text} is taken off the board`, async () => {
+    seedApprovedLeave();
+    stubListing([rawDetail(status)]);
+
+    const report = await reconcile();
+
+    assert.strictEqual(report.status, 'completed');
+    assert.strictEqual(memoryStorage.read('leave_approvals').approvals.SP1.status, text);
+    assert.strictEqual(memoryStorage.read('leave_data').leaveData.zhangsan[dateKey], text);
+    assert.deepStrictEqual(report.changed.map(change => change.newStatus), [text]);
+    assert.deepStrictEqual(memoryStorage.read('active_approvals').watched, {});
+  });
+}
+
+test('an approval still approved is left unchanged', async () => {
+  seedApprovedLeave();
+  stubListing([rawDetail(2)]);
+
+  const report = await reconcile();
+
+  assert.strictEqual(report.summary.changed, 0);
+  assert.strictEqual(memoryStorage.read('leave_data').leaveData.zhangsan[dateKey], '已通过');
+});
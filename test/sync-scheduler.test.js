@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const memoryStorage = require('./helpers/memory-storage');
+const wecomService = require('../services/wecom-service');
+const syncLock = require('../services/sync-lock');
+const activeApprovals = require('../services/active-approvals');
+const syncScheduler = require('../services/sync-scheduler');
+
+const day = new Date();
+day.setDate(day.getDate() + 30);
+const dateKey = `${day.getFullYear()}-${day.getMonth() + 1}.${day.getDate()}`;
+
+function pendingEntry(spNo, userid) {
+  return {
+    sp_no: spNo,
+    userid,
+    name: userid,
+    department: '研发部',
+    apply_time: 1767225600,
+    current_status: 1,
+    status_text: '审批中',
+    leave_dates: [dateKey],
+    leave_type: '年假',
+  };
+}
+
+function pendingRecord(spNo, userid) {
+  return {
+    sp_no: spNo,
+    userid,
+    name: userid,
+    department: '研发部',
+    leave_type: '年假',
+    status_code: 1,
+    status: '审批中',
+    apply_time: 1767225600,
+    leave_dates: [dateKey],
+    half_day_slots: [],
+    removed_dates: [],
+  };
+}
+
+test('the status check applies its results under the sync lock', async () => {
+  memoryStorage.reset();
+  memoryStorage.write('active_approvals', {
+    approvals: { SP1: pendingEntry('SP1', 'zhangsan'), SP2: pendingEntry('SP2', 'lisi') },
+    watched: {},
+    metadata: { lastApprovedCheck: Math.floor(Date.now() / 1000) },
+  });
+  memoryStorage.write('leave_approvals', {
+    approvals: { SP1: pendingRecord('SP1', 'zhangsan'), SP2: pendingRecord('SP2', 'lisi') },
+  });
+  memoryStorage.write('leave_data', {
+    leaveData: { zhangsan: { [dateKey]: '审批中' }, lisi: { [dateKey]: '审批中' } },
+    leaveTypes: {},
+    cellApprovals: {},
+    employeeInfo: {},
+  });
+
+  wecomService.getAccessToken = async () => 'token';
+  wecomService.fetchApprovalDetailsForStatusCheck = async (accessToken, spNoList) => ({
+    details: spNoList.map(spNo => ({ sp_no: spNo, sp_name: '请假', sp_status: 2 })),
+    errors: [],
+  });
+
+  assert.ok(syncLock.acquireLock());
+  const check = syncScheduler.performStatusCheckSync();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  // Nothing is written while another holder has the lock
+  assert.strictEqual(memoryStorage.read('leave_data').leaveData.zhangsan[dateKey], '审批中');
+
+  // Meanwhile a callback finalizes SP2 and drops it from the active list
+  const activeData = activeApprovals.loadActiveApprovals();
+  delete activeData.approvals.SP2;
+  activeApprovals.saveActiveApprovals(activeData);
+  syncLock.releaseLock();
+  await check;
+
+  const after = activeApprovals.loadActiveApprovals();
+  assert.deepStrictEqual(Object.keys(after.approvals), []);
+  assert.deepStrictEqual(Object.keys(after.watched), ['SP1']);
+  assert.strictEqual(memoryStorage.read('leave_data').leaveData.zhangsan[dateKey], '已通过');
+  assert.strictEqual(memoryStorage.read('leave_data').leaveData.lisi[dateKey], '审批中');
+  assert.strictEqual(syncLock.isLocked(), false);
+});
+
+test('the status check finalizes pending overtime', async () => {
+  memoryStorage.reset();
+  memoryStorage.write('overtime_data', {
+    records: {
+      SP3: {
+        sp_no: 'SP3',
+        userid: 'zhangsan',
+        name: '张三',
+        department: '研发部',
+        status_code: 1,
+        status: '审批中',
+        apply_time: 1767225600,
+        entries: [{ date: dateKey, hours: 2 }],
+      },
+    },
+  });
+
+  let fetched = [];
+  wecomService.getAccessToken = async () => 'token';
+  wecomService.fetchApprovalDetailsForStatusCheck = async (accessToken, spNoList) => {
+    fetched = spNoList;
+    return { details: spNoList.map(spNo => ({ sp_no: spNo, sp_name: '加班', sp_status: 2 })), errors: [] };
+  };
+
+  await syncScheduler.performStatusCheckSync();
+
+  assert.deepStrictEqual(fetched, ['SP3']);
+  assert.strictEqual(memoryStorage.read('overtime_data').records.SP3.status, '已通过');
+  assert.strictEqual(memoryStorage.read('leave_data'), null);
+});
+
+test('the status check finalizes pending trips and outings', async () => {
+  memoryStorage.reset();
+  const pendingAway = (spNo, kind) => ({
+    sp_no: spNo,
+    kind,
+    userid: 'lisi',
+    name: '李四',
+    department: '市场部',
+    status_code: 1,
+    status: '审批中',
+    apply_time: 1767225600,
+    dates: [dateKey],
+  });
+  memoryStorage.write('availability_data', {
+    records: { SP4: pendingAway('SP4', 'trip'), SP5: pendingAway('SP5', 'outing') },
+  });
+
+  const statuses = { SP4: 3, SP5: 1 };
+  wecomService.getAccessToken = async () => 'token';
+  wecomService.fetchApprovalDetailsForStatusCheck = async (accessToken, spNoList) => ({
+    details: spNoList.map(spNo => ({ sp_no: spNo, sp_status: statuses[spNo] })),
+    errors: [],
+  });
+
+  await syncScheduler.performStatusCheckSync();
+
+  const records = memoryStorage.read('availability_data').records;
+  assert.strictEqual(records.SP4.status, '已驳回');
+  assert.strictEqual(records.SP5.status, '审批中');
+});
+
+test('an incremental sync that changes nothing keeps the leave data version', async () => {
+  memoryStorage.reset();
+  memoryStorage.write('leave_data', {
+    leaveData: { zhangsan: { [dateKey]: '已通过' } },
+    leaveTypes: { zhangsan: { [dateKey]: '年假' } },
+    cellApprovals: {},
+    employeeInfo: {},
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  });
+
+  wecomService.syncLeaveApprovalsByTimestamp = async () => ({
+    leaveData: {},
+    leaveTypes: {},
+    employeeInfo: {},
+    approvals: [],
+    overtime: [],
+    availability: [],
+    syncedCount: 0,
+    skippedCount: 0,
+    errors: [],
+    rawDetails: [],
+    spDateKeysMap: {},
+    chunks: [],
+  });
+
+  await syncScheduler.performIncrementalSync();
+
+  assert.strictEqual(memoryStorage.read('leave_data').updatedAt, '2026-01-01T00:00:00.000Z');
+});
+
+// Incremental sync whose listing returns three chunks over the window: the
+// chunk spNos and the detail errors are chosen per test
+function stubChunkedListing(chunkSpNos, failedSpNos = []) {
+  const bounds = [];
+  wecomService.syncLeaveApprovalsByTimestamp = async (startTimestamp, endTimestamp) => {
+    const step = Math.floor((endTimestamp - startTimestamp) / 3);
+    const chunks = chunkSpNos.map((spNos, index) => ({
+      start: startTimestamp + index * step + (index > 0 ? 1 : 0),
+      end: index === 2 ? endTimestamp : startTimestamp + (index + 1) * step,
+      spNos,
+    }));
+    bounds.push(...chunks.map(chunk => chunk.end));
+    return {
+      leaveData: {},
+      leaveTypes: {},
+      employeeInfo: {},
+      approvals: [],
+      overtime: [],
+      availability: [],
+      syncedCount: 0,
+      skippedCount: 0,
+      errors: failedSpNos.map(spNo => ({ spNo, error: 'timeout' })),
+      rawDetails: [],
+      spDateKeysMap: {},
+      chunks,
+    };
+  };
+  return bounds;
+}
+
+function seedSyncState(failedSpNos = {}) {
+  memoryStorage.reset();
+  const lastSyncEndTimestamp = Math.floor(Date.now() / 1000) - 3 * 86400;
+  memoryStorage.write('sync_state', {
+    lastSyncEndTimestamp,
+    lastSyncTime: new Date(lastSyncEndTimestamp * 1000).toISOString(),
+    totalSynced: 0,
+    successfulSyncs: 0,
+    failedSyncs: 0,
+    seenSpNos: {},
+    failedSpNos,
+  });
+  return lastSyncEndTimestamp;
+}
+
+test('the watermark stops at the last chunk before a failed detail', async () => {
+  seedSyncState();
+  const bounds = stubChunkedListing([['SP1'], ['SP2', 'SP3'], ['SP4']], ['SP3']);
+
+  await syncScheduler.performIncrementalSync();
+
+  const state = memoryStorage.read('sync_state');
+  assert.strictEqual(state.lastSyncEndTimestamp, bounds[0]);
+  assert.deepStrictEqual(Object.keys(state.seenSpNos).sort(), ['SP1', 'SP2', 'SP4']);
+  assert.deepStrictEqual(state.failedSpNos, { SP3: 1 });
+});
+
+test('the watermark stops at the last listed chunk when a later listing failed', async () => {
+  const previous = seedSyncState();
+  const bounds = stubChunkedListing([['SP1'], ['SP2']]);
+
+  await syncScheduler.performIncrementalSync();
+
+  const state = memoryStorage.read('sync_state');
+  assert.ok(bounds[1] > previous);
+  assert.strictEqual(state.lastSyncEndTimestamp, bounds[1]);
+});
+
+test('a detail that keeps failing stops holding the watermark back', async () => {
+  seedSyncState({ SP3: 4 }); // The fifth failed attempt is the last
+  const bounds = stubChunkedListing([['SP1'], ['SP2', 'SP3'], ['SP4']], ['SP3']);
+
+  await syncScheduler.performIncrementalSync();
+
+  const state = memoryStorage.read('sync_state');
+  assert.strictEqual(state.lastSyncEndTimestamp, bounds[2]);
+  assert.deepStrictEqual(state.failedSpNos, {});
+});
+
+test('the watermark never moves back', async () => {
+  const previous = seedSyncState();
+  stubChunkedListing([['SP1'], ['SP2'], ['SP3']], ['SP1']);
+
+  await syncScheduler.performIncrementalSync();
+
+  assert.strictEqual(memoryStorage.read('sync_state').lastSyncEndTimestamp, previous);
+});
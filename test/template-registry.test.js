@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const registryPath = require.resolve('../services/template-registry');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-registry-'));
+let registryCount = 0;
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Load a fresh registry from the given entries, whatever approval-templates.json
+// or WECOM_*_TEMPLATE_ID hold on this machine
+function loadRegistry(entries) {
+  const file = path.join(tmpDir, `templates-${++registryCount}.json`);
+  fs.writeFileSync(file, JSON.stringify({ templates: entries }));
+
+  const previous = process.env.APPROVAL_TEMPLATES_FILE;
+  process.env.APPROVAL_TEMPLATES_FILE = file;
+  delete require.cache[registryPath];
+  try {
+    return require(registryPath);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.APPROVAL_TEMPLATES_FILE;
+    } else {
+      process.env.APPROVAL_TEMPLATES_FILE = previous;
+    }
+  }
+}
+
+// A category known only by template name is listed by its record_type
+function recordTypeOf(category) {
+  const filters = loadRegistry([{ name: '审批', category }]).getListFilters();
+  assert.strictEqual(filters.length, 1);
+  assert.strictEqual(filters[0][0].key, 'record_type');
+  return filters[0][0].value;
+}
+
+test('leave approvals are listed with record_type 1 (请假)', () => {
+  assert.strictEqual(recordTypeOf('leave'), 1);
+});
+
+test('overtime approvals are listed with record_type 5 (加班)', () => {
+  assert.strictEqual(recordTypeOf('overtime'), 5);
+});
+
+test('trip approvals are listed with record_type 3 (出差)', () => {
+  assert.strictEqual(recordTypeOf('trip'), 3);
+});
+
+test('outing approvals are listed with record_type 4 (外出)', () => {
+  assert.strictEqual(recordTypeOf('outing'), 4);
+});
+
+test('templates known by ID are listed by template_id', () => {
+  const filters = loadRegistry([
+    { templateId: 'T-LEAVE', category: 'leave' },
+    { templateId: 'T-OVERTIME', category: 'overtime' },
+  ]).getListFilters();
+
+  assert.deepStrictEqual(filters, [
+    [{ key: 'template_id', value: 'T-LEAVE' }],
+    [{ key: 'template_id', value: 'T-OVERTIME' }],
+  ]);
+});